@@ -0,0 +1,165 @@
+/**
+ * Static Manifest Generator
+ * Scans a folder of .glb/.gltf models and .zip/.webar bundles (and matching
+ * thumbnails) and writes a catalog.json manifest in the same shape /api/config
+ * returns, for backend-less deployments (config provider 'static').
+ *
+ * Usage:
+ *   node scripts/generate-manifest.js [options]
+ *
+ * Options:
+ *   --models <dir>       Folder with model files          (default: public/models)
+ *   --thumbnails <dir>   Folder with thumbnail images      (default: public/thumbnails)
+ *   --out <file>         Manifest output path              (default: public/catalog.json)
+ *   --model-url <url>    URL prefix models are served from (default: /models/)
+ *   --thumb-url <url>    URL prefix thumbnails are served from (default: /thumbnails/)
+ *
+ * URL prefixes are root-relative by default so they resolve the same on
+ * catalog pages (/catalog/<slug>/); pass the deployment's base path when the
+ * app is not served from the site root (e.g. --model-url /ar/models/).
+ *
+ * Thumbnails are matched by file name: models/chair.glb → thumbnails/chair.(jpg|jpeg|png|webp).
+ * Rendering images are picked up as chair-render-1..4 in the thumbnails folder.
+ */
+
+import { readdir, writeFile, mkdir } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { basename, dirname, extname, join, resolve } from 'node:path';
+
+const MODEL_EXTENSIONS = ['.glb', '.gltf', '.zip', '.webar'];
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+// Config schema version this script emits (CONFIG_SCHEMA_VERSION in src/config/config.js)
+const SCHEMA_VERSION = 3;
+
+// Loading screen cycles through 4 rendering images (0%, 25%, 50%, 75%)
+const RENDERING_IMAGE_COUNT = 4;
+
+function parseArgs(argv) {
+  const options = {
+    models: 'public/models',
+    thumbnails: 'public/thumbnails',
+    out: 'public/catalog.json',
+    modelUrl: '/models/',
+    thumbUrl: '/thumbnails/'
+  };
+  const flags = {
+    '--models': 'models',
+    '--thumbnails': 'thumbnails',
+    '--out': 'out',
+    '--model-url': 'modelUrl',
+    '--thumb-url': 'thumbUrl'
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const key = flags[argv[i]];
+    if (!key || argv[i + 1] === undefined) {
+      throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+    }
+    options[key] = argv[++i];
+  }
+  return options;
+}
+
+/**
+ * Turn a file name into a URL-safe model id: 'Oak Chair_v2' → 'oak-chair-v2'
+ */
+function toId(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Turn a file name into a display name: 'oak_chair-v2' → 'Oak Chair V2'
+ */
+function toDisplayName(name) {
+  return name
+    .replace(/[_.-]+/g, ' ')
+    .replace(/\b\w/g, c => c.toUpperCase())
+    .trim();
+}
+
+function withTrailingSlash(url) {
+  return url.endsWith('/') ? url : `${url}/`;
+}
+
+async function listFiles(dir) {
+  if (!existsSync(dir)) return [];
+  const entries = await readdir(dir, { withFileTypes: true });
+  return entries.filter(entry => entry.isFile()).map(entry => entry.name).sort();
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const modelsDir = resolve(options.models);
+  const thumbsDir = resolve(options.thumbnails);
+  const thumbUrl = withTrailingSlash(options.thumbUrl);
+
+  const modelFiles = (await listFiles(modelsDir))
+    .filter(file => MODEL_EXTENSIONS.includes(extname(file).toLowerCase()));
+  const imageFiles = (await listFiles(thumbsDir))
+    .filter(file => IMAGE_EXTENSIONS.includes(extname(file).toLowerCase()));
+
+  // Index images by lower-cased base name
+  const images = new Map();
+  imageFiles.forEach(file => images.set(basename(file, extname(file)).toLowerCase(), file));
+
+  const seenIds = new Set();
+  const models = [];
+
+  for (const file of modelFiles) {
+    const name = basename(file, extname(file));
+    const baseId = toId(name) || 'model';
+    let id = baseId;
+    // Keep ids unique when two files slug to the same id
+    for (let n = 2; seenIds.has(id); n++) {
+      id = `${baseId}-${n}`;
+    }
+    seenIds.add(id);
+
+    const model = {
+      id,
+      name: toDisplayName(name),
+      url: encodeURIComponent(file),
+      layers: []
+    };
+
+    const thumbnail = images.get(name.toLowerCase());
+    if (thumbnail) {
+      model.thumbnail = `${thumbUrl}${encodeURIComponent(thumbnail)}`;
+    }
+
+    const renderingImages = [];
+    for (let i = 1; i <= RENDERING_IMAGE_COUNT; i++) {
+      const image = images.get(`${name.toLowerCase()}-render-${i}`);
+      if (image) renderingImages.push(`${thumbUrl}${encodeURIComponent(image)}`);
+    }
+    if (renderingImages.length === RENDERING_IMAGE_COUNT) {
+      model.renderingImages = renderingImages;
+    }
+
+    models.push(model);
+  }
+
+  const manifest = {
+    schemaVersion: SCHEMA_VERSION,
+    generatedAt: new Date().toISOString(),
+    server: {
+      // Model URLs above are relative to this base
+      modelBaseUrl: withTrailingSlash(options.modelUrl)
+    },
+    models
+  };
+
+  await mkdir(dirname(resolve(options.out)), { recursive: true });
+  await writeFile(resolve(options.out), `${JSON.stringify(manifest, null, 2)}\n`);
+
+  console.log(`Wrote ${models.length} model(s) to ${options.out}`);
+  models.forEach(model => {
+    console.log(`  ${model.id}: ${join(options.models, decodeURIComponent(model.url))}${model.thumbnail ? ' (+ thumbnail)' : ''}`);
+  });
+}
+
+main().catch(error => {
+  console.error(`Manifest generation failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,105 @@
+/**
+ * Vite plugin: ship the glTF decoders with the app
+ * Serves (dev) and emits (build) the Draco decoder, Basis/KTX2 transcoder and
+ * Meshopt decoder from A-Frame's Three.js build under decoders/, so compressed
+ * models never depend on a CDN.
+ *
+ * The files come from the super-three devDependency, pinned to the version
+ * bundled in the A-Frame release index.html loads (A-Frame 1.5.0 -> super-three
+ * 0.158.0); decoders must match the GLTFLoader that drives them. Update both
+ * together.
+ *
+ *   decoders/draco/   draco_decoder.js, draco_decoder.wasm, draco_wasm_wrapper.js
+ *   decoders/basis/   basis_transcoder.js, basis_transcoder.wasm
+ *   decoders/meshopt/ meshopt_decoder.js (classic script, sets window.MeshoptDecoder)
+ */
+
+import { readFileSync, existsSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { dirname, join } from 'node:path';
+
+const require = createRequire(import.meta.url);
+
+// Output path (under decoders/) -> source path under three/examples/jsm/libs/
+const DECODER_FILES = {
+  'draco/draco_decoder.js': 'draco/gltf/draco_decoder.js',
+  'draco/draco_decoder.wasm': 'draco/gltf/draco_decoder.wasm',
+  'draco/draco_wasm_wrapper.js': 'draco/gltf/draco_wasm_wrapper.js',
+  'basis/basis_transcoder.js': 'basis/basis_transcoder.js',
+  'basis/basis_transcoder.wasm': 'basis/basis_transcoder.wasm',
+  'meshopt/meshopt_decoder.js': 'meshopt_decoder.module.js'
+};
+
+const CONTENT_TYPES = {
+  '.js': 'text/javascript',
+  '.wasm': 'application/wasm'
+};
+
+/**
+ * Locate examples/jsm/libs of the pinned super-three package.
+ * @returns {{ libsDir: string, version: string }|null}
+ */
+function findLibsDir(root) {
+  try {
+    // package.json is not exported; the CommonJS entry is build/three.cjs
+    const packageDir = dirname(dirname(require.resolve('super-three', { paths: [root] })));
+    const libsDir = join(packageDir, 'examples/jsm/libs');
+    if (!existsSync(join(libsDir, 'draco'))) return null;
+    return { libsDir, version: JSON.parse(readFileSync(join(packageDir, 'package.json'), 'utf8')).version };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Read a decoder file; the Meshopt ES module is turned into a classic script
+ * because A-Frame injects it with a <script> tag.
+ */
+function readDecoder(libsDir, output) {
+  const source = readFileSync(join(libsDir, DECODER_FILES[output]));
+  if (output !== 'meshopt/meshopt_decoder.js') return source;
+  return source.toString().replace(/export\s*\{\s*MeshoptDecoder\s*\};?/, 'self.MeshoptDecoder = MeshoptDecoder;');
+}
+
+export default function gltfDecoders() {
+  let libsDir = null;
+  let base = '/';
+
+  return {
+    name: 'gltf-decoders',
+
+    configResolved(config) {
+      base = config.base;
+      const found = findLibsDir(config.root);
+      libsDir = found?.libsDir || null;
+      if (!libsDir) {
+        config.logger.warn('[gltf-decoders] super-three/examples/jsm/libs not found (run npm install); compressed models will fail to decode');
+      } else {
+        config.logger.info(`[gltf-decoders] Using decoders from super-three ${found.version}`);
+      }
+    },
+
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const path = req.url?.split('?')[0] || '';
+        const prefix = `${base}decoders/`;
+        const output = path.startsWith(prefix) ? path.slice(prefix.length) : null;
+        if (!libsDir || !output || !DECODER_FILES[output]) return next();
+
+        res.setHeader('Content-Type', CONTENT_TYPES[output.slice(output.lastIndexOf('.'))]);
+        res.end(readDecoder(libsDir, output));
+      });
+    },
+
+    generateBundle() {
+      if (!libsDir) return;
+      for (const output of Object.keys(DECODER_FILES)) {
+        this.emitFile({
+          type: 'asset',
+          fileName: `decoders/${output}`,
+          source: readDecoder(libsDir, output)
+        });
+      }
+    }
+  };
+}
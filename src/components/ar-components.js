@@ -3,6 +3,8 @@
  * Extends A-Frame with AR-specific functionality
  */
 
+import { prepareDecoders, applyDecodersToLoader } from '../modules/gltf-decoders.js';
+
 // Wait for A-Frame to be loaded
 document.addEventListener('DOMContentLoaded', () => {
   // Check if A-Frame is loaded
@@ -394,6 +396,8 @@ AFRAME.registerComponent('model-loader', {
   
   loadModel: async function() {
     const loader = new THREE.GLTFLoader();
+    const fileLoader = new THREE.FileLoader();
+    fileLoader.setResponseType('arraybuffer');
     
     // Create progress callback
     const onProgress = (xhr) => {
@@ -402,8 +406,8 @@ AFRAME.registerComponent('model-loader', {
     };
     
     try {
-      const gltf = await new Promise((resolve, reject) => {
-        loader.load(
+      const buffer = await new Promise((resolve, reject) => {
+        fileLoader.load(
           this.data.src,
           resolve,
           onProgress,
@@ -411,6 +415,15 @@ AFRAME.registerComponent('model-loader', {
         );
       });
       
+      // Enable the decoders the model declares (Draco, Meshopt, KTX2)
+      const sceneEl = this.el.sceneEl;
+      await prepareDecoders(sceneEl, new Blob([buffer]));
+      await applyDecodersToLoader(loader, sceneEl);
+      
+      const gltf = await new Promise((resolve, reject) => {
+        loader.parse(buffer, THREE.LoaderUtils.extractUrlBase(this.data.src), resolve, reject);
+      });
+      
       // Add model to entity
       this.el.setObject3D('mesh', gltf.scene);
       this.el.emit('model-loaded', {model: gltf});
@@ -468,7 +481,12 @@ AFRAME.registerComponent('layer-toggle', {
   }
 });
 
-// Anchor Component for persistent placement
+// Anchor Component: keeps placed content attached to an XRAnchor
+// ARSession owns the XR frame loop and calls updateFromFrame() every frame.
+// The first tracked anchor pose is the pose the content was
+// placed in; later poses move the entity by how far the anchor has drifted.
+// A restored persistent anchor instead puts the entity at the anchor pose, as
+// its content was saved in anchor space.
 AFRAME.registerComponent('ar-anchor', {
   schema: {
     persistent: {default: true}
@@ -476,40 +494,72 @@ AFRAME.registerComponent('ar-anchor', {
   
   init: function() {
     this.anchor = null;
-    
-    this.el.addEventListener('ar-hit-detected', (event) => {
-      this.createAnchor(event.detail.position);
-    });
+    this.bindInverse = null; // Inverse of the anchor pose at placement
+    this._anchorMatrix = new THREE.Matrix4();
+  },
+  
+  /**
+   * Bind the entity to a new anchor, releasing the previous one
+   * @param {XRAnchor} anchor
+   * @param {object} options
+   * @param {boolean} options.restored - Content is laid out in anchor space (restored anchor)
+   */
+  setAnchor: function(anchor, { restored = false } = {}) {
+    this.release();
+    this.anchor = anchor;
+    if (restored) this.bindInverse = new THREE.Matrix4();
+  },
+  
+  /**
+   * Matrix taking the entity's local space to anchor space, for saving
+   * content relative to the anchor. Null until the anchor has been tracked.
+   * @returns {THREE.Matrix4|null}
+   */
+  getAnchorSpaceMatrix: function() {
+    return this.bindInverse ? this.bindInverse.clone() : null;
   },
   
-  async createAnchor(position) {
-    const session = this.el.sceneEl.renderer.xr.getSession();
+  /**
+   * Follow the anchor. Keeps the last pose while the anchor is not tracked.
+   * @param {XRFrame} frame
+   * @param {XRReferenceSpace} referenceSpace - Space the scene is rendered in
+   */
+  updateFromFrame: function(frame, referenceSpace) {
+    if (!this.anchor || !frame.trackedAnchors?.has(this.anchor)) return;
     
-    if (!session || !session.createAnchor) {
-      console.warn('Anchors not supported in this session');
+    const pose = frame.getPose(this.anchor.anchorSpace, referenceSpace);
+    if (!pose) return;
+    
+    this._anchorMatrix.fromArray(pose.transform.matrix);
+    if (!this.bindInverse) {
+      this.bindInverse = this._anchorMatrix.clone().invert();
+      this.el.emit('ar-anchor-bound');
       return;
     }
     
-    try {
-      // Create anchor at position
-      const anchorSpace = await session.createAnchor(
-        new XRRigidTransform(position),
-        session.referenceSpace
-      );
-      
-      this.anchor = anchorSpace;
-      console.log('Anchor created at position:', position);
-      
-    } catch (error) {
-      console.error('Failed to create anchor:', error);
-    }
+    const object3D = this.el.object3D;
+    object3D.matrix.multiplyMatrices(this._anchorMatrix, this.bindInverse);
+    object3D.matrix.decompose(object3D.position, object3D.quaternion, object3D.scale);
   },
   
-  remove: function() {
+  /**
+   * Delete the anchor and put the entity back at the origin
+   */
+  release: function() {
     if (this.anchor) {
-      this.anchor.delete();
+      try { this.anchor.delete(); } catch (_) { /* session already ended */ }
       this.anchor = null;
     }
+    this.bindInverse = null;
+    
+    const object3D = this.el.object3D;
+    object3D.position.set(0, 0, 0);
+    object3D.quaternion.identity();
+    object3D.scale.set(1, 1, 1);
+  },
+  
+  remove: function() {
+    this.release();
   }
 });
 }); // Close DOMContentLoaded listener
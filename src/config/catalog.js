@@ -0,0 +1,87 @@
+/**
+ * Catalog Selection
+ * Resolves which tenant catalog this page serves from the URL, so several
+ * clients can share one deployment.
+ *
+ * A catalog is selected with `?catalog=<slug>` or a `/catalog/<slug>/` path
+ * segment. Without a slug the default catalog (/api/config) is used.
+ * Each catalog gets its own config endpoint, static manifest, model base URL
+ * and storage namespace, so persisted configs and caches never leak between tenants.
+ */
+
+// Valid catalog slugs: letters, digits, dashes and underscores
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+// Path segment form: /catalog/<slug>/...
+const PATH_PATTERN = /\/catalog\/([^/]+)/;
+
+// Namespace used by the default (slug-less) catalog
+const DEFAULT_NAMESPACE = 'default';
+
+// Base path of the built app (static manifests live next to index.html)
+const APP_BASE = import.meta.env?.BASE_URL || '/';
+
+let _catalog = null;
+
+/**
+ * Read the catalog slug from the query string or path.
+ * @returns {string|null} Lower-cased slug, or null for the default catalog
+ */
+function readCatalogSlug(location) {
+  const fromQuery = new URLSearchParams(location.search).get('catalog');
+  const fromPath = location.pathname.match(PATH_PATTERN)?.[1];
+  const slug = fromQuery || (fromPath && decodeURIComponent(fromPath));
+
+  if (!slug) return null;
+  if (!SLUG_PATTERN.test(slug)) {
+    console.warn(`[CONFIG] Ignoring invalid catalog slug "${slug}", using default catalog`);
+    return null;
+  }
+  return slug.toLowerCase();
+}
+
+/**
+ * Resolve the catalog for the current page.
+ * @param {Location} location - Defaults to window.location
+ * @returns {{ slug: string|null, namespace: string, configUrl: string, manifestUrl: string, defaults: object }}
+ *          `defaults` is a config layer with catalog-specific endpoints
+ */
+export function resolveCatalog(location = window.location) {
+  const slug = readCatalogSlug(location);
+
+  if (!slug) {
+    return {
+      slug: null,
+      namespace: DEFAULT_NAMESPACE,
+      configUrl: '/api/config',
+      manifestUrl: `${APP_BASE}catalog.json`,
+      defaults: null
+    };
+  }
+
+  const encoded = encodeURIComponent(slug);
+  return {
+    slug,
+    namespace: `catalog-${slug}`,
+    configUrl: `/api/catalogs/${encoded}/config`,
+    manifestUrl: `${APP_BASE}catalogs/${encoded}.json`,
+    defaults: {
+      server: {
+        modelBaseUrl: `/uploads/catalogs/${encoded}/models/`,
+        liveSync: {
+          sseUrl: `/api/catalogs/${encoded}/config/events`
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Get the catalog for this page (resolved once per page load).
+ */
+export function getCatalog() {
+  if (!_catalog) {
+    _catalog = resolveCatalog();
+  }
+  return _catalog;
+}
@@ -0,0 +1,128 @@
+/**
+ * Config Layers
+ * Deep-merges configuration layers in priority order and records which
+ * layer each resolved key came from (provenance).
+ *
+ * Layer order (lowest → highest priority):
+ *   defaults      → hardcoded FALLBACK_CONFIG
+ *   catalog       → per-tenant endpoints (see catalog.js)
+ *   api           → provider payload, named after the provider: 'api', 'static'
+ *                   or 'inline' (or 'offline' for the persisted copy)
+ *   url           → query parameters, e.g. ?config.gestures.rotation.speed=0.8
+ *   localStorage  → developer overrides stored under OVERRIDES_STORAGE_KEY
+ */
+
+// Query parameter prefix for URL overrides
+const URL_OVERRIDE_PREFIX = 'config.';
+
+// localStorage key holding a JSON object of developer overrides
+export const OVERRIDES_STORAGE_KEY = 'webar:config-overrides';
+
+/**
+ * Check whether a value is a plain (non-array) object.
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep-merge `source` into `target` in place, recording provenance.
+ * Plain objects are merged key by key; arrays and primitives replace.
+ */
+function mergeInto(target, source, layerName, provenance, path) {
+  for (const [key, value] of Object.entries(source)) {
+    if (value === undefined) continue;
+    const keyPath = path ? `${path}.${key}` : key;
+
+    if (isPlainObject(value)) {
+      if (!isPlainObject(target[key])) {
+        target[key] = {};
+      }
+      mergeInto(target[key], value, layerName, provenance, keyPath);
+    } else {
+      target[key] = Array.isArray(value) ? [...value] : value;
+      // Drop provenance recorded for children of a replaced subtree
+      for (const existing of Object.keys(provenance)) {
+        if (existing.startsWith(`${keyPath}.`)) delete provenance[existing];
+      }
+      provenance[keyPath] = layerName;
+    }
+  }
+}
+
+/**
+ * Deep-merge config layers and track where every leaf came from.
+ * @param {Array<{name: string, values: object|null}>} layers - Lowest priority first
+ * @returns {{ config: object, provenance: Object<string, string> }}
+ *          provenance maps dotted key paths (e.g. 'gestures.rotation.speed') to layer names
+ */
+export function mergeLayers(layers) {
+  const config = {};
+  const provenance = {};
+
+  for (const { name, values } of layers) {
+    if (isPlainObject(values)) {
+      mergeInto(config, values, name, provenance, '');
+    }
+  }
+
+  return { config, provenance };
+}
+
+/**
+ * Parse a query parameter value: JSON literals (numbers, booleans, arrays,
+ * objects) are decoded, anything else is kept as a string.
+ */
+function parseOverrideValue(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch (_) {
+    return raw;
+  }
+}
+
+/**
+ * Build an override object from `config.*` query parameters.
+ * e.g. ?config.ar.hitTest.type=vertical → { ar: { hitTest: { type: 'vertical' } } }
+ * @param {string} search - Query string (defaults to the current location)
+ * @returns {object|null} Nested overrides, or null when there are none
+ */
+export function readUrlOverrides(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  let overrides = null;
+
+  for (const [param, raw] of params) {
+    if (!param.startsWith(URL_OVERRIDE_PREFIX)) continue;
+
+    const keys = param.slice(URL_OVERRIDE_PREFIX.length).split('.').filter(Boolean);
+    if (keys.length === 0) continue;
+
+    overrides = overrides || {};
+    let node = overrides;
+    keys.slice(0, -1).forEach(key => {
+      if (!isPlainObject(node[key])) node[key] = {};
+      node = node[key];
+    });
+    node[keys[keys.length - 1]] = parseOverrideValue(raw);
+  }
+
+  return overrides;
+}
+
+/**
+ * Read developer overrides from localStorage.
+ * Set them from the console, e.g.
+ *   localStorage.setItem('webar:config-overrides', JSON.stringify({ ui: { showDebug: true } }))
+ * @returns {object|null} Overrides object, or null when unset or unreadable
+ */
+export function readStorageOverrides(key = OVERRIDES_STORAGE_KEY) {
+  try {
+    const raw = window.localStorage?.getItem(key);
+    if (!raw) return null;
+    const parsed = JSON.parse(raw);
+    return isPlainObject(parsed) ? parsed : null;
+  } catch (e) {
+    console.warn('[CONFIG] Ignoring unreadable localStorage overrides:', e.message);
+    return null;
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * Config Providers
+ * Sources the app config payload can be loaded from:
+ *
+ *   api     → backend endpoint (/api/config or the catalog's endpoint)
+ *   static  → catalog.json manifest next to the built app (backend-less hosting)
+ *   inline  → window.__WEBAR_CONFIG__ object embedded in the page
+ *
+ * Every provider resolves to the same result shape so config.js can treat
+ * them alike: { payload, etag, fetchedAt, notModified, changed }.
+ */
+
+// Request timeout for remote config sources
+const FETCH_TIMEOUT = 5000;
+
+/**
+ * Fetch a JSON config document with If-None-Match revalidation.
+ * A 304 reuses the stored payload.
+ * @param {string} url - Document URL
+ * @param {object|null} stored - Last stored entry ({ payload, etag })
+ */
+async function fetchJsonConfig(url, stored) {
+  const headers = {};
+  if (stored?.etag) {
+    headers['If-None-Match'] = stored.etag;
+  }
+
+  const response = await fetch(url, {
+    headers,
+    cache: 'no-store',
+    signal: AbortSignal.timeout(FETCH_TIMEOUT)
+  });
+  const fetchedAt = Date.now();
+
+  if (response.status === 304 && stored) {
+    return { payload: stored.payload, etag: stored.etag, fetchedAt, notModified: true, changed: false };
+  }
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+  const payload = await response.json();
+  // Servers without ETag support: detect unchanged catalogs by content
+  const changed = !stored || JSON.stringify(payload) !== JSON.stringify(stored.payload);
+  return { payload, etag: response.headers.get('ETag'), fetchedAt, notModified: false, changed };
+}
+
+/**
+ * Backend API provider
+ */
+export class ApiConfigProvider {
+  constructor(url) {
+    this.name = 'api';
+    this.url = url;
+  }
+
+  fetch(stored) {
+    return fetchJsonConfig(this.url, stored);
+  }
+}
+
+/**
+ * Static manifest provider (catalog.json generated by scripts/generate-manifest.js)
+ */
+export class StaticManifestProvider {
+  constructor(url) {
+    this.name = 'static';
+    this.url = url;
+  }
+
+  fetch(stored) {
+    return fetchJsonConfig(this.url, stored);
+  }
+}
+
+/**
+ * Inline provider: config object assigned to window.__WEBAR_CONFIG__ before the app script
+ */
+export class InlineConfigProvider {
+  constructor(payload) {
+    this.name = 'inline';
+    this.payload = payload;
+  }
+
+  async fetch(stored) {
+    const changed = !stored || JSON.stringify(this.payload) !== JSON.stringify(stored.payload);
+    return { payload: this.payload, etag: null, fetchedAt: Date.now(), notModified: false, changed };
+  }
+}
+
+/**
+ * Pick the config provider for this page.
+ * An inline window.__WEBAR_CONFIG__ always wins; otherwise the provider is
+ * chosen by window.__WEBAR_CONFIG_PROVIDER__ or the VITE_CONFIG_PROVIDER
+ * build variable ('api' or 'static'), defaulting to 'api'.
+ * @param {object} catalog - Catalog from getCatalog()
+ */
+export function createConfigProvider(catalog) {
+  if (window.__WEBAR_CONFIG__ && typeof window.__WEBAR_CONFIG__ === 'object') {
+    return new InlineConfigProvider(window.__WEBAR_CONFIG__);
+  }
+
+  const kind = window.__WEBAR_CONFIG_PROVIDER__ || import.meta.env?.VITE_CONFIG_PROVIDER || 'api';
+
+  if (kind === 'static') {
+    return new StaticManifestProvider(catalog.manifestUrl);
+  }
+  if (kind !== 'api') {
+    console.warn(`[CONFIG] Unknown config provider "${kind}", using api`);
+  }
+  return new ApiConfigProvider(catalog.configUrl);
+}
@@ -0,0 +1,87 @@
+/**
+ * Config Store
+ * Persists the last successfully fetched /api/config payload in localStorage
+ * so the app can boot with a real catalog when the backend is unreachable.
+ *
+ * The raw (pre-validation) payload is stored together with its ETag and
+ * fetch time; it is re-validated on every load like a fresh response.
+ * Entries are namespaced per catalog so tenants never see each other's catalog.
+ */
+
+// localStorage key prefix for the persisted config entry
+const STORE_KEY = 'webar:last-config';
+
+/**
+ * Build the localStorage key for a catalog namespace.
+ */
+function storeKey(namespace) {
+  return `${STORE_KEY}:${namespace}`;
+}
+
+/**
+ * Read the persisted config entry.
+ * @param {string} namespace - Catalog storage namespace
+ * @returns {{ payload: object, etag: string|null, fetchedAt: number }|null}
+ */
+export function loadStoredConfig(namespace) {
+  try {
+    const raw = window.localStorage?.getItem(storeKey(namespace));
+    if (!raw) return null;
+    const entry = JSON.parse(raw);
+    if (!entry?.payload || typeof entry.payload !== 'object' || Array.isArray(entry.payload) ||
+        typeof entry.fetchedAt !== 'number') {
+      return null;
+    }
+    return {
+      payload: entry.payload,
+      etag: entry.etag || null,
+      fetchedAt: entry.fetchedAt
+    };
+  } catch (e) {
+    console.warn('[CONFIG] Ignoring unreadable stored config:', e.message);
+    return null;
+  }
+}
+
+/**
+ * Persist a config payload as the last known good config.
+ * @param {string} namespace - Catalog storage namespace
+ * @param {object} payload - Raw JSON from /api/config
+ * @param {string|null} etag - ETag response header, if any
+ * @param {number} fetchedAt - Fetch time (ms since epoch)
+ * @returns {boolean} True if the entry was written
+ */
+export function saveStoredConfig(namespace, payload, etag = null, fetchedAt = Date.now()) {
+  try {
+    window.localStorage?.setItem(storeKey(namespace), JSON.stringify({ payload, etag, fetchedAt }));
+    return true;
+  } catch (e) {
+    // Quota exceeded or storage disabled (private mode) - not fatal
+    console.warn('[CONFIG] Failed to persist config:', e.message);
+    return false;
+  }
+}
+
+/**
+ * Update the fetch time of the stored entry after a 304 revalidation.
+ * @param {string} namespace - Catalog storage namespace
+ * @param {number} fetchedAt - Revalidation time (ms since epoch)
+ */
+export function touchStoredConfig(namespace, fetchedAt = Date.now()) {
+  const entry = loadStoredConfig(namespace);
+  if (entry) {
+    saveStoredConfig(namespace, entry.payload, entry.etag, fetchedAt);
+  }
+}
+
+/**
+ * Remove the persisted config entry.
+ * @param {string} namespace - Catalog storage namespace
+ */
+export function clearStoredConfig(namespace) {
+  try {
+    window.localStorage?.removeItem(storeKey(namespace));
+  } catch (_) {
+    // ignore
+  }
+}
@@ -0,0 +1,337 @@
+/**
+ * Config Validator
+ * Validates /api/config payloads section by section before they are merged
+ * with the fallback defaults.
+ *
+ * Invalid settings are stripped (so the fallback value fills the gap) and
+ * malformed model entries are dropped individually, keeping the good ones.
+ * The result carries a structured report suitable for the debug logger.
+ */
+
+// Allowed values for the AR hit-test surface type
+const HIT_TEST_TYPES = ['horizontal', 'vertical', 'any'];
+const PLACEMENT_ALIGNMENTS = ['upright', 'surface'];
+
+// Per-section schemas. Leaf specs are either a type name ('string', 'number',
+// 'boolean'), an array of allowed values, or an object with { type, min, max }.
+// Plain objects without a `type` key describe nested sections.
+const SECTION_SCHEMAS = {
+  server: {
+    modelBaseUrl: 'string',
+    cors: 'boolean',
+    timeout: { type: 'number', min: 0 },
+    liveSync: {
+      enabled: 'boolean',
+      mode: ['poll', 'sse'],
+      interval: { type: 'number', min: 5000 },
+      sseUrl: 'string'
+    }
+  },
+  ar: {
+    hitTest: {
+      type: HIT_TEST_TYPES,
+      maxDistance: { type: 'number', min: 0 },
+      minConfidence: { type: 'number', min: 0, max: 1 }
+    },
+    placement: {
+      alignment: PLACEMENT_ALIGNMENTS
+    },
+    anchor: {
+      persistent: 'boolean'
+    },
+    lightEstimation: 'boolean'
+  },
+  ui: {
+    showDebug: 'boolean',
+    instructionTimeout: { type: 'number', min: 0 },
+    minLoadingTime: { type: 'number', min: 0 },
+    branding: {
+      logoUrl: 'string',
+      title: 'string'
+    }
+  },
+  gestures: {
+    rotation: {
+      enabled: 'boolean',
+      speed: { type: 'number', min: 0 },
+      axis: ['x', 'y', 'z']
+    },
+    scale: {
+      enabled: 'boolean',
+      minFactor: { type: 'number', min: 0 },
+      maxFactor: { type: 'number', min: 0 },
+      speed: { type: 'number', min: 0 }
+    },
+    pinchRotate: {
+      enabled: 'boolean',
+      speed: { type: 'number', min: 0 }
+    }
+  },
+  performance: {
+    maxModelSize: { type: 'number', min: 0 },
+    recommendedModelSize: { type: 'number', min: 0 },
+    modelCacheSize: { type: 'number', min: 0 },
+    entityMemoryBudget: { type: 'number', min: 0 },
+    prefetch: {
+      enabled: 'boolean',
+      concurrency: { type: 'number', min: 1, max: 6 },
+      respectDataSaver: 'boolean'
+    },
+    maxTextureSize: { type: 'number', min: 1 },
+    shadows: 'boolean',
+    antialias: 'boolean'
+  }
+};
+
+/**
+ * Check whether a value is a plain (non-array) object.
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check whether a schema node describes a leaf value rather than a section.
+ */
+function isLeafSpec(spec) {
+  return typeof spec === 'string' || Array.isArray(spec) || (isPlainObject(spec) && typeof spec.type === 'string');
+}
+
+/**
+ * Validate a single leaf value against its spec.
+ * @returns {string|null} Error message, or null when the value is valid
+ */
+function checkLeaf(value, spec) {
+  if (Array.isArray(spec)) {
+    return spec.includes(value) ? null : `expected one of ${spec.join(', ')}, got ${JSON.stringify(value)}`;
+  }
+
+  const { type, min, max } = typeof spec === 'string' ? { type: spec } : spec;
+
+  if (type === 'number') {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return `expected a number, got ${JSON.stringify(value)}`;
+    }
+    if (min !== undefined && value < min) return `must be >= ${min}, got ${value}`;
+    if (max !== undefined && value > max) return `must be <= ${max}, got ${value}`;
+    return null;
+  }
+
+  return typeof value === type ? null : `expected a ${type}, got ${JSON.stringify(value)}`;
+}
+
+/**
+ * Recursively validate a section against its schema.
+ * Returns a copy with invalid keys removed; unknown keys are kept untouched.
+ */
+function validateSection(section, schema, path, report) {
+  const result = {};
+
+  for (const [key, value] of Object.entries(section)) {
+    const spec = schema[key];
+    const keyPath = `${path}.${key}`;
+
+    if (spec === undefined) {
+      result[key] = value;
+      continue;
+    }
+
+    if (isLeafSpec(spec)) {
+      const problem = checkLeaf(value, spec);
+      if (problem) {
+        report.errors.push({ path: keyPath, message: `${problem} (using default)` });
+      } else {
+        result[key] = value;
+      }
+      continue;
+    }
+
+    if (!isPlainObject(value)) {
+      report.errors.push({ path: keyPath, message: 'expected an object (using defaults)' });
+      continue;
+    }
+    result[key] = validateSection(value, spec, keyPath, report);
+  }
+
+  return result;
+}
+
+/**
+ * Validate a model entry.
+ * @returns {{ model: object|null, reasons: string[], warnings: string[] }}
+ *          `model` is null when the entry must be dropped
+ */
+function validateModel(entry, seenIds) {
+  const reasons = [];
+  const warnings = [];
+
+  if (!isPlainObject(entry)) {
+    return { model: null, reasons: ['entry is not an object'], warnings };
+  }
+
+  const model = { ...entry };
+
+  // id: required, unique; numeric ids are accepted and coerced to strings
+  if (typeof model.id === 'number' && Number.isFinite(model.id)) {
+    model.id = String(model.id);
+    warnings.push('numeric id coerced to string');
+  }
+  if (typeof model.id !== 'string' || model.id.trim() === '') {
+    reasons.push('missing id');
+  } else if (seenIds.has(model.id)) {
+    reasons.push(`duplicate id "${model.id}"`);
+  }
+
+  // url: required
+  if (typeof model.url !== 'string' || model.url.trim() === '') {
+    reasons.push('missing url');
+  }
+
+  // targetSizeMeters: optional, but must be a positive number when present
+  if (model.targetSizeMeters !== undefined && model.targetSizeMeters !== null) {
+    const size = typeof model.targetSizeMeters === 'string' && model.targetSizeMeters.trim() !== ''
+      ? Number(model.targetSizeMeters)
+      : model.targetSizeMeters;
+    if (typeof size !== 'number' || !Number.isFinite(size) || size <= 0) {
+      reasons.push(`non-numeric targetSizeMeters ${JSON.stringify(model.targetSizeMeters)}`);
+    } else if (size !== model.targetSizeMeters) {
+      model.targetSizeMeters = size;
+      warnings.push('targetSizeMeters coerced from string');
+    }
+  }
+
+  if (reasons.length > 0) {
+    return { model: null, reasons, warnings };
+  }
+
+  // Soft fields: fix up or strip instead of dropping the model
+  if (typeof model.name !== 'string' || model.name.trim() === '') {
+    model.name = model.id;
+    warnings.push('missing name, using id');
+  }
+
+  if (model.previewUrl !== undefined && (typeof model.previewUrl !== 'string' || model.previewUrl.trim() === '')) {
+    delete model.previewUrl;
+    warnings.push('invalid previewUrl removed');
+  }
+
+  if (model.thumbnail !== undefined && typeof model.thumbnail !== 'string') {
+    delete model.thumbnail;
+    warnings.push('invalid thumbnail removed');
+  }
+
+  if (model.defaultScale !== undefined && typeof model.defaultScale !== 'string') {
+    delete model.defaultScale;
+    warnings.push('invalid defaultScale removed');
+  }
+
+  if (model.sha256 !== undefined && (typeof model.sha256 !== 'string' || !/^[0-9a-f]{64}$/i.test(model.sha256))) {
+    delete model.sha256;
+    warnings.push('invalid sha256 removed (expected 64 hex characters)');
+  }
+
+  if (model.integrity !== undefined && (typeof model.integrity !== 'string' || !/(^|\s)sha(256|384|512)-/.test(model.integrity))) {
+    delete model.integrity;
+    warnings.push('invalid integrity removed (expected sha256-/sha384-/sha512-<base64>)');
+  }
+
+  if (model.version !== undefined && typeof model.version !== 'string' && typeof model.version !== 'number') {
+    delete model.version;
+    warnings.push('invalid version removed');
+  }
+
+  if (model.renderingImages !== undefined) {
+    if (!Array.isArray(model.renderingImages)) {
+      delete model.renderingImages;
+      warnings.push('renderingImages is not an array, removed');
+    } else if (model.renderingImages.some(url => typeof url !== 'string')) {
+      model.renderingImages = model.renderingImages.filter(url => typeof url === 'string');
+      warnings.push('non-string renderingImages removed');
+    }
+  }
+
+  if (model.layers !== undefined) {
+    if (!Array.isArray(model.layers)) {
+      delete model.layers;
+      warnings.push('layers is not an array, removed');
+    } else {
+      const layers = model.layers.filter(layer =>
+        isPlainObject(layer) && typeof layer.name === 'string' && typeof layer.node === 'string'
+      );
+      if (layers.length !== model.layers.length) {
+        warnings.push(`${model.layers.length - layers.length} invalid layer(s) removed`);
+        model.layers = layers;
+      }
+    }
+  }
+
+  return { model, reasons, warnings };
+}
+
+/**
+ * Validate an /api/config payload.
+ * @param {object} payload - Raw JSON returned by the backend
+ * @returns {{ config: object, report: object }} Sanitized payload and validation report
+ * @throws {Error} If the payload is not an object at all
+ */
+export function validateConfig(payload) {
+  if (!isPlainObject(payload)) {
+    throw new Error('Config payload is not an object');
+  }
+
+  const report = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    models: { received: 0, accepted: 0, dropped: [] }
+  };
+
+  const config = { ...payload };
+
+  // Settings sections
+  for (const [section, schema] of Object.entries(SECTION_SCHEMAS)) {
+    if (payload[section] === undefined) continue;
+
+    if (!isPlainObject(payload[section])) {
+      report.errors.push({ path: section, message: 'expected an object (using defaults)' });
+      delete config[section];
+      continue;
+    }
+    config[section] = validateSection(payload[section], schema, section, report);
+  }
+
+  // Models
+  if (payload.models !== undefined) {
+    if (!Array.isArray(payload.models)) {
+      report.errors.push({ path: 'models', message: 'expected an array (no models loaded)' });
+      config.models = [];
+    } else {
+      const seenIds = new Set();
+      config.models = [];
+      report.models.received = payload.models.length;
+
+      payload.models.forEach((entry, index) => {
+        const { model, reasons, warnings } = validateModel(entry, seenIds);
+        const id = isPlainObject(entry) ? entry.id : undefined;
+
+        warnings.forEach(message => {
+          report.warnings.push({ path: `models[${index}]`, message: `${id ?? '?'}: ${message}` });
+        });
+
+        if (!model) {
+          report.models.dropped.push({ index, id: id ?? null, reasons });
+          return;
+        }
+
+        seenIds.add(model.id);
+        config.models.push(model);
+      });
+
+      report.models.accepted = config.models.length;
+    }
+  }
+
+  report.valid = report.errors.length === 0 && report.models.dropped.length === 0;
+
+  return { config, report };
+}
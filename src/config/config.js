@@ -2,17 +2,39 @@
  * Application Configuration
  * Central configuration for models, server endpoints, and app settings
  * 
- * Supports two modes:
- * 1. Backend API mode: fetches config from /api/config at runtime
- * 2. Fallback mode: uses hardcoded defaults when API is unavailable
+ * Supports three modes:
+ * 1. Provider mode: fetches config at runtime from the backend API, a static
+ *    catalog.json manifest or an inline window.__WEBAR_CONFIG__ (config-providers.js)
+ * 2. Offline mode: uses the last successfully fetched config (config-store.js)
+ * 3. Fallback mode: uses hardcoded defaults when API and stored config are unavailable
+ *
+ * The resolved config is deep-merged from layers (see config-layers.js):
+ * defaults < catalog < backend API < URL query overrides < localStorage overrides.
+ *
+ * The config endpoint is selected per tenant catalog (see catalog.js).
+ * Provider and persisted payloads are upgraded to CONFIG_SCHEMA_VERSION
+ * (migrateConfig) before they are validated and merged.
  */
 
+import { validateConfig } from './config-validator.js';
+import { mergeLayers, readUrlOverrides, readStorageOverrides } from './config-layers.js';
+import { loadStoredConfig, saveStoredConfig, touchStoredConfig } from './config-store.js';
+import { getCatalog } from './catalog.js';
+import { createConfigProvider } from './config-providers.js';
+import { getLogger } from '../modules/logger.js';
+
 // Default rendering images used when a model has no per-model rendering images
 // Empty by default — backend config should always provide per-model rendering images
 const DEFAULT_RENDERING_IMAGES = [];
 
+// Current config payload format. Bump it and append a migration to
+// CONFIG_MIGRATIONS whenever the shape /api/config returns changes.
+const CONFIG_SCHEMA_VERSION = 3;
+
 // Hardcoded fallback config (used when backend API is unreachable)
 const FALLBACK_CONFIG = {
+  schemaVersion: CONFIG_SCHEMA_VERSION,
+  
   // Server configuration
   server: {
     // Model server URL - will be updated for production
@@ -20,7 +42,17 @@ const FALLBACK_CONFIG = {
     // Enable CORS
     cors: true,
     // Request timeout in ms
-    timeout: 30000
+    timeout: 30000,
+    // Live catalog updates (opt-in)
+    liveSync: {
+      enabled: false,
+      // 'poll' = conditional GET of /api/config, 'sse' = Server-Sent Events
+      mode: 'poll',
+      // Poll interval in ms
+      interval: 60000,
+      // SSE endpoint; any event triggers a conditional config fetch
+      sseUrl: '/api/config/events'
+    }
   },
   
   // Model configurations — always fetched from backend via /api/config
@@ -31,11 +63,18 @@ const FALLBACK_CONFIG = {
   ar: {
     // Hit test settings
     hitTest: {
-      type: 'horizontal',
-      maxDistance: 10,
-      minConfidence: 0.5
+      type: 'horizontal', // Placement surfaces: 'horizontal' (floor), 'vertical' (wall) or 'any'
+      maxDistance: 10, // Ignore hits farther from the camera (meters, 0 = no limit)
+      minConfidence: 0.5 // Hit stability (0-1) needed before the reticle shows and placement is allowed
+    },
+    // Placement on floors and tables: 'upright' keeps models vertical, 'surface'
+    // tilts them to the surface normal (ramps, sloped decks). Both rest the model
+    // on the surface along its normal
+    placement: {
+      alignment: 'upright'
     },
-    // Anchor settings
+    // Anchor settings. With persistent anchors (where the browser supports
+    // them) the last placement is saved and offered for restore next session
     anchor: {
       persistent: true
     },
@@ -50,7 +89,12 @@ const FALLBACK_CONFIG = {
     // Instruction display time in ms
     instructionTimeout: 5000,
     // Loading screen minimum display time
-    minLoadingTime: 1000
+    minLoadingTime: 1000,
+    // Per-catalog branding (empty = built-in logo and title)
+    branding: {
+      logoUrl: '',
+      title: ''
+    }
   },
   
   // Gesture Configuration
@@ -81,6 +125,19 @@ const FALLBACK_CONFIG = {
     maxModelSize: 100,
     // Recommended file size in MB
     recommendedModelSize: 20,
+    // Persistent model cache budget in MB (0 disables cross-session caching)
+    modelCacheSize: 500,
+    // Estimated GPU memory in MB for parsed models kept for instant switching
+    // (least recently used hidden models are disposed beyond this; 0 disables)
+    entityMemoryBudget: 256,
+    // Background prefetch of catalog models into the persistent cache
+    prefetch: {
+      enabled: true,
+      // Parallel background downloads
+      concurrency: 2,
+      // Stay off when the browser reports Save-Data or a 2G connection
+      respectDataSaver: true
+    },
     // Texture resolution limit
     maxTextureSize: 2048,
     // Shadow settings
@@ -93,14 +150,128 @@ const FALLBACK_CONFIG = {
 // Cached config instance (populated by loadConfig)
 let _configCache = null;
 
+// Provenance of the cached config: dotted key path -> layer name
+let _configProvenance = {};
+
+// Where the cached config came from: provider name ('api' | 'static' | 'inline'),
+// 'offline' (persisted copy) or 'fallback'
+let _configSource = { source: 'fallback', etag: null, fetchedAt: null };
+
+// Active config provider (see config-providers.js)
+let _provider = null;
+
+/**
+ * Apply a function to every model of a payload, returning a new payload.
+ */
+function mapModels(payload, fn) {
+  if (!Array.isArray(payload.models)) return payload;
+  return {
+    ...payload,
+    models: payload.models.map(model =>
+      model && typeof model === 'object' && !Array.isArray(model) ? fn(model) : model
+    )
+  };
+}
+
+/**
+ * Payload migrations, keyed by the version they upgrade from.
+ * Each receives the payload and a warn(message) callback and returns the next version.
+ */
+const CONFIG_MIGRATIONS = {
+  // v1 → v2: per-model renderingImages introduced
+  1: payload => mapModels(payload, model => {
+    if (model.renderingImages !== undefined) return model;
+    return { ...model, renderingImages: [] };
+  }),
+
+  // v2 → v3: layers made optional (missing means no layers)
+  2: payload => mapModels(payload, model => {
+    if (model.layers !== undefined && model.layers !== null) return model;
+    return { ...model, layers: [] };
+  })
+};
+
+/**
+ * Guess the schema version of a payload that predates the schemaVersion field.
+ */
+function inferSchemaVersion(payload) {
+  const models = Array.isArray(payload.models) ? payload.models : [];
+  return models.some(model => model?.renderingImages !== undefined) ? 2 : 1;
+}
+
+/**
+ * Upgrade an older config payload to CONFIG_SCHEMA_VERSION before it is validated.
+ * Runs on every backend payload, including persisted copies, so catalogs
+ * stored by an older frontend keep loading. The input is not mutated.
+ * @param {object} payload - Raw payload from a provider or the config store
+ * @param {string} layerName - Layer name used in log messages
+ * @returns {object} Payload in the current schema
+ */
+function migrateConfig(payload, layerName) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) return payload;
+
+  const logger = getLogger();
+  const declared = payload.schemaVersion;
+  let version = Number.isInteger(declared) && declared > 0 ? declared : inferSchemaVersion(payload);
+
+  if (version === CONFIG_SCHEMA_VERSION) return payload;
+
+  if (version > CONFIG_SCHEMA_VERSION) {
+    logger.warning('CONFIG_MIGRATION', `Config layer "${layerName}" uses schema v${version}, newer than supported v${CONFIG_SCHEMA_VERSION}; loading as-is`);
+    return payload;
+  }
+
+  const from = version;
+  const warnings = [];
+  if (declared === undefined) {
+    // Expected from backends that predate schemaVersion (including the current one)
+    logger.info('CONFIG_MIGRATION', `Config layer "${layerName}" has no schemaVersion, inferred v${version}`);
+  } else if (declared !== version) {
+    warnings.push(`invalid schemaVersion ${JSON.stringify(declared)}, assuming v${version}`);
+  }
+
+  let migrated = payload;
+  while (version < CONFIG_SCHEMA_VERSION) {
+    migrated = CONFIG_MIGRATIONS[version](migrated, message => warnings.push(`v${version}→v${version + 1}: ${message}`));
+    version++;
+  }
+  migrated = { ...migrated, schemaVersion: CONFIG_SCHEMA_VERSION };
+
+  // Warn only when a migration (or the declared version) needs attention
+  const log = warnings.length > 0 ? logger.warning : logger.info;
+  log.call(logger, 'CONFIG_MIGRATION', `Config layer "${layerName}" migrated from schema v${from} to v${CONFIG_SCHEMA_VERSION}`, {
+    layer: layerName,
+    from,
+    to: CONFIG_SCHEMA_VERSION,
+    warnings
+  });
+
+  return migrated;
+}
+
+/**
+ * Resolve a model-relative URL (e.g. 'chair.glb') against server.modelBaseUrl.
+ * Absolute paths, full URLs, blob: and data: URLs are returned unchanged.
+ */
+function resolveModelUrl(url, modelBaseUrl) {
+  if (typeof url !== 'string' || !modelBaseUrl) return url;
+  if (url.startsWith('/') || /^[a-z][a-z0-9+.-]*:/i.test(url)) return url;
+  const base = modelBaseUrl.endsWith('/') ? modelBaseUrl : `${modelBaseUrl}/`;
+  return `${base}${url}`;
+}
+
 /**
  * Ensure every model in the config has a valid renderingImages array.
  * Falls back to DEFAULT_RENDERING_IMAGES if missing or incomplete.
+ * Relative model and preview URLs are resolved against the catalog's modelBaseUrl.
  */
 function normalizeModels(config) {
   if (config && Array.isArray(config.models)) {
+    const modelBaseUrl = config.server?.modelBaseUrl;
     config.models = config.models.map(model => ({
       ...model,
+      url: resolveModelUrl(model.url, modelBaseUrl),
+      ...(model.previewUrl ? { previewUrl: resolveModelUrl(model.previewUrl, modelBaseUrl) } : {}),
       renderingImages: Array.isArray(model.renderingImages)
         ? model.renderingImages
         : DEFAULT_RENDERING_IMAGES
@@ -110,46 +281,158 @@ function normalizeModels(config) {
 }
 
 /**
- * Load configuration from backend API with fallback to hardcoded defaults.
+ * Validate a config layer and write the report to the logger.
+ * Bad settings fall back to lower layers; bad model entries are dropped.
+ * @param {object} values - Raw layer values (e.g. JSON from /api/config)
+ * @param {string} layerName - Layer name used in log messages
+ * @returns {object} Sanitized layer values
+ */
+function validateLayer(values, layerName) {
+  const { config, report } = validateConfig(values);
+  const logger = getLogger();
+  const summary = {
+    layer: layerName,
+    errors: report.errors,
+    warnings: report.warnings,
+    models: report.models
+  };
+
+  if (report.valid) {
+    logger.success('CONFIG_VALIDATION', `Config layer "${layerName}" is valid`, summary);
+  } else {
+    logger.warning('CONFIG_VALIDATION', `Config layer "${layerName}" has ${report.errors.length} invalid setting(s) and ${report.models.dropped.length} rejected model(s)`, summary);
+  }
+
+  return config;
+}
+
+/**
+ * Resolve the final config from all layers and update the cache.
+ * @param {object|null} apiConfig - Validated backend payload, or null if unavailable
+ * @param {string} apiLayerName - Provenance name for the backend layer: the provider name,
+ *                               or 'offline' for a persisted copy
+ * @returns {object} The resolved application config
+ */
+function resolveConfig(apiConfig, apiLayerName = 'api') {
+  const urlOverrides = readUrlOverrides();
+  const storageOverrides = readStorageOverrides();
+
+  const { config, provenance } = mergeLayers([
+    { name: 'defaults', values: FALLBACK_CONFIG },
+    { name: 'catalog', values: getCatalog().defaults },
+    { name: apiLayerName, values: apiConfig },
+    { name: 'url', values: urlOverrides && validateLayer(urlOverrides, 'url') },
+    { name: 'localStorage', values: storageOverrides && validateLayer(storageOverrides, 'localStorage') }
+  ]);
+
+  _configCache = normalizeModels(config);
+  _configProvenance = provenance;
+
+  const overridden = Object.entries(provenance).filter(([, layer]) => layer !== 'defaults');
+  getLogger().info('CONFIG_PROVENANCE', `Config resolved (${overridden.length} key(s) from non-default layers)`,
+    Object.fromEntries(overridden)
+  );
+
+  return _configCache;
+}
+
+/**
+ * Get the config provider for this page (created once).
+ */
+function getProvider() {
+  if (!_provider) {
+    _provider = createConfigProvider(getCatalog());
+  }
+  return _provider;
+}
+
+/**
+ * Fetch the config payload from the active provider, revalidating the stored copy.
+ * Refreshes the stored entry's fetch time on a 304 (not modified).
+ * Callers persist fresh payloads (persistApiConfig) once they pass validation.
+ * @param {object|null} stored - Entry from loadStoredConfig()
+ * @returns {Promise<{ payload: object, etag: string|null, fetchedAt: number, notModified: boolean, changed: boolean }>}
+ */
+async function fetchApiConfig(stored) {
+  const result = await getProvider().fetch(stored);
+  if (result.notModified) {
+    touchStoredConfig(getCatalog().namespace, result.fetchedAt);
+  }
+  return result;
+}
+
+/**
+ * Persist a validated backend payload as the last known good config.
+ */
+function persistApiConfig({ payload, etag, fetchedAt, notModified }) {
+  if (!notModified) {
+    saveStoredConfig(getCatalog().namespace, payload, etag, fetchedAt);
+  }
+}
+
+/**
+ * Load configuration from the config provider with fallback to the last
+ * persisted config, then to hardcoded defaults.
  * Caches the result for subsequent calls.
  * @returns {Promise<object>} The application config
  */
 export async function loadConfig() {
   if (_configCache) return _configCache;
   
+  const stored = loadStoredConfig(getCatalog().namespace);
+  
   try {
-    const response = await fetch('/api/config', {
-      signal: AbortSignal.timeout(5000)
-    });
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    const apiConfig = await response.json();
-    // Merge with fallback so missing sections have safe defaults
-    _configCache = normalizeModels(mergeConfig(FALLBACK_CONFIG, apiConfig));
-    console.log('[CONFIG] Loaded from backend API');
+    const result = await fetchApiConfig(stored);
+    const { etag, fetchedAt, notModified } = result;
+    const source = getProvider().name;
+    const apiConfig = validateLayer(migrateConfig(result.payload, source), source);
+    persistApiConfig(result);
+    // Layer over fallback so missing sections and keys have safe defaults
+    resolveConfig(apiConfig, source);
+    _configSource = { source, etag, fetchedAt };
+    console.log(`[CONFIG] Loaded from ${source} provider${notModified ? ' (not modified, using stored copy)' : ''}`);
     return _configCache;
   } catch (e) {
+    if (stored) {
+      console.warn('[CONFIG] Backend API unavailable, using last stored config:', e.message);
+      resolveConfig(validateLayer(migrateConfig(stored.payload, 'offline'), 'offline'), 'offline');
+      _configSource = { source: 'offline', etag: stored.etag, fetchedAt: stored.fetchedAt };
+      return _configCache;
+    }
     console.warn('[CONFIG] Backend API unavailable, using fallback config:', e.message);
-    _configCache = normalizeModels({ ...FALLBACK_CONFIG });
-    return _configCache;
+    _configSource = { source: 'fallback', etag: null, fetchedAt: null };
+    return resolveConfig(null);
   }
 }
 
 /**
  * Re-fetch configuration from backend, bypassing cache.
  * Used by the refresh button to pick up model/image changes.
- * @returns {Promise<object>} The refreshed config
+ * Revalidates with If-None-Match, so an unchanged catalog costs a 304.
+ * @param {object} options
+ * @param {boolean} options.skipIfUnchanged - Keep the current config untouched when the
+ *                                            catalog did not change (used by live sync polling)
+ * @returns {Promise<{config: object, previousConfig: object, changed: boolean}>} The refreshed config
  */
-export async function refreshConfig() {
+export async function refreshConfig({ skipIfUnchanged = false } = {}) {
   try {
-    const response = await fetch('/api/config', {
-      signal: AbortSignal.timeout(5000)
-    });
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    const apiConfig = await response.json();
+    const result = await fetchApiConfig(loadStoredConfig(getCatalog().namespace));
+    const { etag, fetchedAt, notModified, changed } = result;
+    
+    const source = getProvider().name;
+    
+    if (skipIfUnchanged && !changed && _configCache && _configSource.source === source) {
+      _configSource = { source, etag, fetchedAt };
+      return { config: _configCache, previousConfig: _configCache, changed: false };
+    }
+    
+    const apiConfig = validateLayer(migrateConfig(result.payload, source), source);
+    persistApiConfig(result);
     const oldCache = _configCache;
-    _configCache = normalizeModels(mergeConfig(FALLBACK_CONFIG, apiConfig));
-    console.log('[CONFIG] Refreshed from backend API');
-    return { config: _configCache, previousConfig: oldCache };
+    resolveConfig(apiConfig, source);
+    _configSource = { source, etag, fetchedAt };
+    console.log(`[CONFIG] Refreshed from ${source} provider${notModified ? ' (not modified)' : ''}`);
+    return { config: _configCache, previousConfig: oldCache, changed };
   } catch (e) {
     console.warn('[CONFIG] Failed to refresh config:', e.message);
     throw e;
@@ -166,18 +449,21 @@ export function getConfig() {
 }
 
 /**
- * Shallow-merge backend config over fallback defaults.
- * Ensures every top-level section (server, ar, ui, gestures, performance)
- * exists even if the backend omits it.
+ * Get the layer each resolved config key came from.
+ * @returns {Object<string, string>} Dotted key path -> 'defaults' | 'catalog' | provider name | 'offline' | 'url' | 'localStorage'
  */
-function mergeConfig(fallback, apiResponse) {
-  return {
-    ...fallback,
-    ...apiResponse,
-    // Deep-merge server so individual keys aren't lost
-    server: { ...fallback.server, ...(apiResponse.server || {}) }
-  };
+export function getConfigProvenance() {
+  return { ..._configProvenance };
+}
+
+/**
+ * Get where the current config came from.
+ * 'offline' means the backend was unreachable and the last persisted config is in use.
+ * @returns {{ source: string, etag: string|null, fetchedAt: number|null }}
+ */
+export function getConfigSource() {
+  return { ..._configSource };
 }
 
 // Export defaults for use by other modules
-export { DEFAULT_RENDERING_IMAGES };
+export { DEFAULT_RENDERING_IMAGES, CONFIG_SCHEMA_VERSION };
@@ -5,14 +5,26 @@
 
 import { ARSession } from './modules/ar-session.js';
 import { ModelLoader } from './modules/model-loader.js';
+import { ModelErrorKind, ModelBudgetError } from './modules/model-errors.js';
 import { UIController } from './modules/ui-controller.js';
 import { GestureHandler } from './modules/gesture-handler.js';
 import { Gallery } from './modules/gallery.js';
-import { loadConfig, getConfig, refreshConfig } from './config/config.js';
+import { loadConfig, getConfig, refreshConfig, getConfigProvenance, getConfigSource } from './config/config.js';
 import { AssetManager } from './modules/asset-manager.js';
+import { CatalogSync } from './modules/catalog-sync.js';
+import { PrefetchScheduler } from './modules/prefetch-scheduler.js';
+import { getCatalog } from './config/catalog.js';
 import { getLogger } from './modules/logger.js';
+import { enableDecoders, loadGltf } from './modules/gltf-decoders.js';
+import { estimateObject3DBytes, disposeObject3D } from './modules/model-memory.js';
+import { mergeBundleManifest } from './modules/model-bundle.js';
+import { inspectModel } from './modules/model-inspector.js';
+import { getTextureSizeLimit, downscaleTextures } from './modules/texture-downscaler.js';
+import { loadStoredPlacement, saveStoredPlacement, clearStoredPlacement } from './modules/placement-store.js';
 import './components/ar-components.js';
 
+const BYTES_PER_MB = 1024 * 1024;
+
 class WebARApp {
   constructor() {
     this.arSession = null;
@@ -20,6 +32,7 @@ class WebARApp {
     this.uiController = null;
     this.gestureHandler = null;
     this.gallery = null;
+    this.prefetchScheduler = null;
     this.currentModel = null;
     this.isInitialized = false;
     this.logger = null;
@@ -34,8 +47,10 @@ class WebARApp {
     // Store current model config for repositioning
     this.currentModelConfig = null;
     
-    // Model entity cache: Map of modelId -> { entity, config, isReady }
-    // This caches parsed A-Frame entities to avoid re-parsing on model switch
+    // Model entity cache: Map of modelId -> { entity, config, isReady, memoryBytes, lastUsed }
+    // This caches parsed A-Frame entities to avoid re-parsing on model switch.
+    // Hidden entities are evicted least recently used first once their estimated
+    // GPU memory exceeds performance.entityMemoryBudget (see enforceEntityMemoryBudget)
     this.modelEntityCache = new Map();
     
     // Track active model ID for cache management
@@ -67,6 +82,21 @@ class WebARApp {
     // Pending first placement: saves tap position when no model is loaded yet
     // so the first model auto-places after loading
     this.pendingFirstPlacement = null;
+
+    // Anchor requests: newer placements and releases invalidate older ones
+    this.anchorRequestId = 0;
+
+    // Persistent anchor handle of the current placement (config.ar.anchor.persistent)
+    this.placementHandle = null;
+
+    // Saved placement being restored; the model-loaded handler places it
+    this.pendingRestore = null;
+
+    // Config refresh state (manual refresh button and live catalog sync)
+    this.isRefreshingConfig = false;
+    this.catalogSync = null;
+    // Live sync update that arrived while busy: { previousConfig } (the last applied config)
+    this.pendingConfigUpdate = null;
   }
 
   async init() {
@@ -78,12 +108,22 @@ class WebARApp {
       // Initialize UI controller first
       this.uiController = new UIController();
       
-      // Load config from backend API (falls back to hardcoded defaults)
+      // Load config from the config provider (falls back to stored, then hardcoded defaults)
+      const catalog = getCatalog();
       const config = await loadConfig();
+      const configSource = getConfigSource();
       this.logger.info('APP_INIT', 'Config loaded', { 
+        catalog: catalog.slug || 'default',
         modelCount: config.models.length,
-        source: config.models?.length > 0 ? 'api' : 'fallback'
+        source: configSource.source,
+        fetchedAt: configSource.fetchedAt
       });
+      this.uiController.renderConfigProvenance(getConfigProvenance());
+      this.updateCatalogStatus();
+      this.uiController.applyBranding(config.ui?.branding);
+      if (config.ui?.showDebug) {
+        this.uiController.toggleDebugInfo();
+      }
       
       // Pre-download all images (thumbnails + rendering images) from backend
       this.assetManager = new AssetManager();
@@ -99,12 +139,36 @@ class WebARApp {
       }
       
       // Initialize modules using dynamically loaded config
-      this.modelLoader = new ModelLoader(config.models);
-      this.gallery = new Gallery(config.models, this.onModelSelect.bind(this), this.assetManager);
+      this.modelLoader = new ModelLoader(config.models, {
+        namespace: catalog.namespace,
+        cacheBudget: (config.performance?.modelCacheSize ?? 0) * 1024 * 1024
+      });
+      this.gallery = new Gallery(
+        config.models,
+        this.onModelSelect.bind(this),
+        this.assetManager,
+        (model) => this.modelLoader.isModelCached(model.url),
+        (model) => this.getModelSizeStatus(model)
+      );
+      
+      // Background prefetch: the first model (auto-loaded on first tap) goes first
+      this.prefetchScheduler = new PrefetchScheduler(this.modelLoader, config.performance?.prefetch);
+      this.prefetchScheduler.onPrefetched = () => this.gallery.refreshOfflineBadges();
+      this.prefetchScheduler.isModelRefused = (model) => this.getModelSizeStatus(model) === 'too-large';
+      this.gallery.onVisibleModelsChange = (ids) => this.prefetchScheduler.setVisibleModels(ids);
+      this.prefetchScheduler.activeModelId = config.models[0]?.id ?? null;
+      this.prefetchScheduler.setModels(config.models);
+      
+      // Flag oversized models in the gallery before anyone downloads them
+      this.probeModelSizes(config.models);
       
       // Wait for A-Frame to be ready
       await this.waitForAFrame();
       
+      // Draco decodes with the bundled decoder, never A-Frame's CDN default
+      // (the decoder itself is only fetched when a Draco model is parsed)
+      await enableDecoders(document.querySelector('a-scene'), ['dracoDecoderPath']);
+      
       // Initialize AR session (but don't start it yet)
       this.arSession = new ARSession(
         this.onPlaceModel.bind(this),
@@ -121,6 +185,9 @@ class WebARApp {
       // Setup tap-anywhere-to-start (replaces Start AR button)
       this.setupTapToStart();
       
+      // Opt-in live catalog updates
+      this.startCatalogSync(config);
+      
       this.isInitialized = true;
       this.logger.success('APP_INIT', 'Initialization complete - waiting for user to start AR', {
         modelsAvailable: config.models.length,
@@ -220,6 +287,11 @@ class WebARApp {
   }
 
   setupEventHandlers() {
+    // Keep the saved placement up to date as the user rotates and scales
+    // (and save it once a new anchor has been tracked)
+    this.gestureHandler.onTransformEnd = () => this.persistPlacement();
+    document.getElementById('model-container').addEventListener('ar-anchor-bound', () => this.persistPlacement());
+    
     // Gallery button - guarded by loading state
     document.getElementById('gallery-btn').addEventListener('click', () => {
       if (this.isModelLoading) {
@@ -232,6 +304,7 @@ class WebARApp {
     // Close app button - go back to referring website
     document.getElementById('close-app-btn').addEventListener('click', () => {
       this.logger.event('USER_ACTION', 'Close app button clicked');
+      this.persistPlacement();
       if (document.referrer) {
         window.location.href = document.referrer;
       } else if (window.history.length > 1) {
@@ -307,7 +380,9 @@ class WebARApp {
     this.surfaceDetected = false;
     this.setupSurfaceDetectionListener();
     
-    // No auto-load: first model loads when user taps detected reticle
+    // No auto-load: first model loads when user taps detected reticle,
+    // unless the user restores the last placement
+    this.offerPlacementRestore();
   }
 
   /**
@@ -367,16 +442,14 @@ class WebARApp {
    */
   onSurfaceLost() {
     if (!this.modelIsPlaced) {
-      this.uiController.showInstructions('Point your device at the floor and move it around slowly', {
-        duration: 0,
-        icon: 'scan',
-        state: 'scanning'
-      });
+      this.uiController.showScanningInstructions();
     }
   }
 
   onSessionEnded() {
     this.logger.logSessionEnd();
+    this.persistPlacement();
+    this.releaseAnchor();
     this.uiController.hideARUI();
     this.uiController.showLoadingScreen();
   }
@@ -397,6 +470,11 @@ class WebARApp {
     });
     this.gallery.hide();
     
+    // A restore in progress only applies to its own model
+    if (this.pendingRestore && this.pendingRestore.modelId !== modelConfig.id) {
+      this.pendingRestore = null;
+    }
+    
     // Detect "switch in place" intent: if a model was already placed at a known position,
     // the new model should appear at the same spot without requiring rescan/tap
     const shouldSwitchInPlace = this.modelIsPlaced && this.lastPlacedHitPosition && !this.isRepositioning;
@@ -429,11 +507,7 @@ class WebARApp {
       
       if (shouldSwitchInPlace) {
         // SWITCH IN PLACE: Place the new model at the stored hit position
-        const floorOffset = parseFloat(cachedModel.entity.dataset.floorOffset) || 0;
-        const adjustedY = this.lastPlacedHitPosition.y + floorOffset;
-        const posString = `${this.lastPlacedHitPosition.x} ${adjustedY} ${this.lastPlacedHitPosition.z}`;
-        
-        this.currentModel.setAttribute('position', posString);
+        const position = this.placeModelAtHit(this.currentModel, this.lastPlacedHitPosition);
         this.currentModel.setAttribute('visible', 'true');
         this.modelIsPlaced = true;
         
@@ -452,17 +526,16 @@ class WebARApp {
         }
         
         this.logger.info('MODEL_SWITCH', 'Cached model placed in place', {
-          position: posString,
-          floorOffset: floorOffset
+          position,
+          surface: this.lastPlacedHitPosition.surface
         });
+      } else if (this.pendingRestore) {
+        // RESTORE: put the model back where the last session left it
+        this.placeRestoredModel(this.currentModel, cachedModel.layers || []);
       } else if (this.pendingFirstPlacement) {
         // AUTO-PLACE: first model loaded from cache after user tapped reticle
-        const floorOffset = parseFloat(cachedModel.entity.dataset.floorOffset) || 0;
         const hitPos = this.pendingFirstPlacement;
-        const adjustedY = hitPos.y + floorOffset;
-        const posString = `${hitPos.x} ${adjustedY} ${hitPos.z}`;
-        
-        this.currentModel.setAttribute('position', posString);
+        const position = this.placeModelAtHit(this.currentModel, hitPos);
         this.currentModel.setAttribute('visible', 'true');
         this.modelIsPlaced = true;
         
@@ -481,8 +554,8 @@ class WebARApp {
         this.pendingFirstPlacement = null;
         
         this.logger.info('MODEL_PLACE', 'Cached model auto-placed at first tap position', {
-          position: posString,
-          floorOffset: floorOffset
+          position,
+          surface: hitPos.surface
         });
       } else {
         // Normal flow: enable placement for reticle tap
@@ -495,11 +568,7 @@ class WebARApp {
         if (this.surfaceDetected) {
           this.uiController.showSurfaceDetectedInstructions();
         } else {
-          this.uiController.showInstructions('Point your device at the floor and move it around slowly', {
-            duration: 0,
-            icon: 'scan',
-            state: 'scanning'
-          });
+          this.uiController.showScanningInstructions();
         }
       }
       
@@ -564,19 +633,22 @@ class WebARApp {
       
       this.logger.logModelError(modelConfig.name, error, {
         url: modelConfig.url,
-        httpStatus: error.message.match(/HTTP (\d+)/)?.[1],
+        kind: error.kind,
+        httpStatus: error.status,
         loadTime: Date.now() - startTime
       });
-      this.uiController.showToast('Failed to load model', 'error', { title: 'Error' });
+      this.showModelLoadError(error, modelConfig);
       this.uiController.hideInstructions();
       
       // Re-enable controls on fetch error
       this.isModelLoading = false;
       this.uiController.setControlsEnabled(true);
       this.gallery.setEnabled(true);
+      this.applyPendingConfigUpdate();
       
       // Re-enable reticle/placement on error
       // Use suppression in case user is still touching the screen
+      this.pendingRestore = null;
       this.arSession.suppressPlacement(300);
       this.arSession.setReticleEnabled(true);
       this.arSession.setPlacementEnabled(true);
@@ -585,6 +657,51 @@ class WebARApp {
     // model-loaded / model-error event handlers in loadAndCacheModel()
   }
 
+  /**
+   * Tell the user why a model failed to download, with a Retry action.
+   * @param {Error} error - Usually a ModelLoadError from ModelLoader
+   * @param {object} modelConfig - Model that failed
+   */
+  showModelLoadError(error, modelConfig) {
+    const messages = {
+      [ModelErrorKind.OFFLINE]: ['You\'re Offline', 'Check your internet connection and try again'],
+      [ModelErrorKind.NOT_FOUND]: ['Model Not Found', 'This model is no longer available on the server'],
+      [ModelErrorKind.FORBIDDEN]: ['Access Denied', 'You don\'t have permission to view this model'],
+      [ModelErrorKind.TIMEOUT]: ['Download Timed Out', 'The server took too long to respond'],
+      [ModelErrorKind.SERVER]: ['Server Error', 'The server could not deliver this model'],
+      [ModelErrorKind.CORRUPT]: ['Damaged Model File', 'The model file on the server is corrupted or unreadable'],
+      [ModelErrorKind.UNKNOWN]: ['Could Not Load Model', 'Something went wrong while preparing this model']
+    };
+    
+    // Cancelled by the user (cancelModelLoading reports it): nothing to report
+    if (error?.kind === ModelErrorKind.ABORTED) return;
+    
+    // Over the size limit: no Retry, the same file would be refused again
+    if (error instanceof ModelBudgetError) {
+      this.uiController.showToast(
+        `This model is ${this.modelLoader.formatBytes(error.size)}; the limit is ${this.modelLoader.formatBytes(error.limit)}`,
+        'error',
+        { title: 'Model Too Large', duration: 6000 }
+      );
+      return;
+    }
+    
+    const [title, message] = messages[error?.kind] || ['Error', 'Failed to load model'];
+    // Every class gets a Retry: besides network and server hiccups, the backend
+    // may have fixed a damaged, missing or access-restricted model meanwhile
+    this.uiController.showToast(message, 'error', {
+      title,
+      duration: 8000,
+      action: {
+        label: 'Retry',
+        onClick: () => {
+          this.logger.event('USER_ACTION', 'Retry model download', { modelId: modelConfig.id, kind: error?.kind });
+          this.onModelSelect(modelConfig);
+        }
+      }
+    });
+  }
+
   /**
    * Save current model state for potential restore on cancel
    */
@@ -680,6 +797,7 @@ class WebARApp {
     this.isModelLoading = false;
     this.uiController.setControlsEnabled(true);
     this.gallery.setEnabled(true);
+    this.applyPendingConfigUpdate();
     this.uiController.hideInstructions();
     
     // Re-enable reticle/placement
@@ -696,6 +814,7 @@ class WebARApp {
     // Clear previous state
     this.previousModelState = null;
     this.pendingFirstPlacement = null;
+    this.pendingRestore = null;
   }
 
   /**
@@ -731,6 +850,7 @@ class WebARApp {
    * Activate a cached model entity
    */
   activateCachedModel(modelId, cachedModel) {
+    cachedModel.lastUsed = Date.now();
     this.currentModel = cachedModel.entity;
     this.currentModelConfig = cachedModel.config;
     this.activeModelId = modelId;
@@ -759,6 +879,13 @@ class WebARApp {
     const container = document.getElementById('model-container');
     const startTime = Date.now();
     
+    // Refuse models a HEAD request already showed to be over the hard limit
+    const { maxModelSize } = getConfig().performance || {};
+    const remoteSize = this.modelLoader.remoteSizes.get(url);
+    if (maxModelSize && remoteSize > maxModelSize * BYTES_PER_MB) {
+      throw new ModelBudgetError(url, remoteSize, maxModelSize * BYTES_PER_MB);
+    }
+    
     // Show loading indicator with cancel button and pre-cached rendering images
     const resolvedRenderingImages = (config.renderingImages && this.assetManager)
       ? this.assetManager.resolveBlobUrls(config.renderingImages)
@@ -779,28 +906,61 @@ class WebARApp {
     
     let modelUrl = url;
     
+    // Progressive loading: show the lightweight proxy first unless the full
+    // model is already downloaded; the full model is swapped in afterwards
+    const usePreview = Boolean(config.previewUrl) && !this.modelLoader.isModelCached(url);
+    const loadUrl = usePreview ? config.previewUrl : url;
+    if (usePreview) {
+      this.logger.info('MODEL_LOAD', 'Loading preview model first', { previewUrl: config.previewUrl });
+    }
+    
+    // Give the foreground download the bandwidth; a prefetch of this model is joined
+    this.prefetchScheduler?.setActiveModel(config.id);
+    this.prefetchScheduler?.pause(loadUrl);
+    
     try {
       // Use ModelLoader to fetch with progress tracking (downloads are cached)
-      modelUrl = await this.modelLoader.loadModel(url, (progress, received, total) => {
+      modelUrl = await this.modelLoader.loadModel(loadUrl, (progress, received, total) => {
         this.uiController.updateModelLoadingProgress(loadingIndicator, progress, received);
         if (progress >= 0) {
           this.logger.info('MODEL_LOAD', `Loading progress: ${progress}%`, { received, total });
         }
+      }, {
+        onIntegrityRetry: () => {
+          this.uiController.showToast('File corrupted, retrying download', 'warning', { title: 'Download Error' });
+          this.uiController.updateModelLoadingProgress(loadingIndicator, 0, 0);
+        }
       });
       
       this.logger.success('MODEL_LOAD', 'Model fetched successfully', { objectUrl: modelUrl });
+      this.gallery.refreshOfflineBadges();
+      
+      // Zip bundles may carry targetSizeMeters / layers for fields the catalog leaves empty
+      config = this.applyBundleManifest(config, loadUrl);
       
     } catch (fetchError) {
       this.logger.logModelError(config.name, fetchError);
       this.uiController.removeModelLoadingIndicator(loadingIndicator);
-      this.uiController.showInstructions('Failed to download model. Check network connection.');
       throw fetchError;
+    } finally {
+      this.prefetchScheduler?.resume();
+    }
+    
+    // Check the file against the performance budget before it is parsed
+    // (stats come from the download worker when it inspected the file)
+    let modelBlob;
+    let modelStats = null;
+    try {
+      modelBlob = await fetch(modelUrl).then(response => response.blob());
+      modelStats = await this.checkModelBudget(loadUrl, modelBlob, this.modelLoader.getModelStats(loadUrl));
+    } catch (budgetError) {
+      this.uiController.removeModelLoadingIndicator(loadingIndicator);
+      throw budgetError;
     }
     
     // Create model entity with unique ID based on model config ID
     const modelEntity = document.createElement('a-entity');
     modelEntity.setAttribute('id', `model-${config.id}`);
-    modelEntity.setAttribute('gltf-model', modelUrl);
     modelEntity.setAttribute('scale', config.defaultScale || '1 1 1');
     
     // Hide model until user taps to place it
@@ -808,7 +968,7 @@ class WebARApp {
     
     // Position at origin initially
     modelEntity.setAttribute('position', '0 0 0');
-    this.logger.info('MODEL_LOAD', 'Model entity created, awaiting A-Frame parse');
+    this.logger.info('MODEL_LOAD', 'Model entity created, awaiting parse');
     
     container.appendChild(modelEntity);
     
@@ -821,74 +981,30 @@ class WebARApp {
     this.modelEntityCache.set(config.id, {
       entity: modelEntity,
       config: config,
-      isReady: false
+      isReady: false,
+      isPreview: usePreview,
+      stats: modelStats,
+      memoryBytes: 0,
+      lastUsed: Date.now()
     });
     
-    // Listen for model loaded (A-Frame parsed the glTF)
-    modelEntity.addEventListener('model-loaded', () => {
+    // Only the initial parse is handled here; a later full-model swap
+    // (upgradeToFullModel) reports through its own path
+    const removeLoadListeners = () => {
+      modelEntity.removeEventListener('model-loaded', onModelLoaded);
+      modelEntity.removeEventListener('model-error', onModelError);
+    };
+    
+    // Listen for model loaded (parseIntoEntity parsed the glTF)
+    const onModelLoaded = () => {
+      removeLoadListeners();
       this.uiController.removeModelLoadingIndicator(loadingIndicator);
       
-      // Get the Three.js mesh for bounding box calculation
-      const mesh = modelEntity.getObject3D('mesh');
-      if (mesh) {
-        // Ensure world matrices are up-to-date before computing bounding box
-        mesh.updateWorldMatrix(true, true);
-        
-        // Compute bounding box in world coordinates
-        const boundingBox = new THREE.Box3().setFromObject(mesh);
-        const modelSize = new THREE.Vector3();
-        boundingBox.getSize(modelSize);
-        const modelCenter = new THREE.Vector3();
-        boundingBox.getCenter(modelCenter);
-        
-        // Log raw model dimensions
-        this.logger.info('MODEL_BOUNDS', 'Raw model bounding box (native units)', {
-          min: { x: boundingBox.min.x, y: boundingBox.min.y, z: boundingBox.min.z },
-          max: { x: boundingBox.max.x, y: boundingBox.max.y, z: boundingBox.max.z },
-          size: { x: modelSize.x, y: modelSize.y, z: modelSize.z },
-          center: { x: modelCenter.x, y: modelCenter.y, z: modelCenter.z }
-        });
-        
-        // Normalize model scale to real-world meters
-        const targetSizeMeters = config.targetSizeMeters || 0.5;
-        const largestDimension = Math.max(modelSize.x, modelSize.y, modelSize.z);
-        
-        if (largestDimension > 0) {
-          const scaleFactor = targetSizeMeters / largestDimension;
-          
-          // Apply uniform scale
-          modelEntity.setAttribute('scale', `${scaleFactor} ${scaleFactor} ${scaleFactor}`);
-          
-          // Force Three.js to update matrices after scale change
-          modelEntity.object3D.updateMatrixWorld(true);
-          
-          // Recompute bounding box AFTER scale is applied
-          const scaledBoundingBox = new THREE.Box3().setFromObject(mesh);
-          const scaledSize = new THREE.Vector3();
-          scaledBoundingBox.getSize(scaledSize);
-          
-          this.logger.info('MODEL_SCALE', 'Model scale normalized', {
-            rawLargestDimension: largestDimension,
-            targetSizeMeters: targetSizeMeters,
-            appliedScaleFactor: scaleFactor,
-            finalSizeMeters: { x: scaledSize.x, y: scaledSize.y, z: scaledSize.z }
-          });
-          
-          // Calculate floor offset from SCALED bounding box
-          const floorOffset = -scaledBoundingBox.min.y;
-          const maxReasonableOffset = 5.0;
-          const clampedFloorOffset = Math.min(Math.abs(floorOffset), maxReasonableOffset) * Math.sign(floorOffset);
-          
-          // Store base scale and floor offset for placement and reset on switch
-          modelEntity.dataset.baseScale = scaleFactor;
-          modelEntity.dataset.floorOffset = clampedFloorOffset;
-          
-          this.logger.info('MODEL_PIVOT', 'Floor offset calculated', {
-            scaledBoundingBoxMinY: scaledBoundingBox.min.y,
-            clampedFloorOffset: clampedFloorOffset
-          });
-        }
-      }
+      // Shrink oversized textures before the model is first rendered
+      this.downscaleModelTextures(modelEntity.getObject3D('mesh'), config);
+      
+      // Normalize scale to targetSizeMeters and compute the floor offset
+      this.normalizeModelScale(modelEntity, config);
       
       // Auto-discover toggleable layers from model hierarchy
       const modelLayers = (config.layers && config.layers.length > 0)
@@ -900,11 +1016,14 @@ class WebARApp {
       if (cachedEntry) {
         cachedEntry.isReady = true;
         cachedEntry.layers = modelLayers;
+        cachedEntry.memoryBytes = estimateObject3DBytes(modelEntity.getObject3D('mesh')).bytes;
         this.logger.info('MODEL_CACHE', 'Model cached and ready for instant switching', { 
           modelId: config.id,
           cacheSize: this.modelEntityCache.size,
-          layerCount: modelLayers.length
+          layerCount: modelLayers.length,
+          memoryMB: (cachedEntry.memoryBytes / 1024 / 1024).toFixed(1)
         });
+        this.enforceEntityMemoryBudget();
       }
       
       this.logger.logModelLoaded(config.name || 'Unknown');
@@ -914,6 +1033,7 @@ class WebARApp {
         this.isModelLoading = false;
         this.uiController.setControlsEnabled(true);
         this.gallery.setEnabled(true);
+        this.applyPendingConfigUpdate();
       }
       
       // Model loaded successfully
@@ -921,12 +1041,8 @@ class WebARApp {
       // Check for pending switch-in-place intent
       if (this.pendingSwitchInPlace && this.pendingSwitchInPlace.modelId === config.id) {
         // SWITCH IN PLACE: Place the new model at the stored hit position
-        const floorOffset = parseFloat(modelEntity.dataset.floorOffset) || 0;
         const hitPos = this.pendingSwitchInPlace.hitPosition;
-        const adjustedY = hitPos.y + floorOffset;
-        const posString = `${hitPos.x} ${adjustedY} ${hitPos.z}`;
-        
-        modelEntity.setAttribute('position', posString);
+        const position = this.placeModelAtHit(modelEntity, hitPos);
         modelEntity.setAttribute('visible', 'true');
         this.modelIsPlaced = true;
         
@@ -945,20 +1061,19 @@ class WebARApp {
         }
         
         this.logger.info('MODEL_SWITCH', 'Non-cached model placed in place', {
-          position: posString,
-          floorOffset: floorOffset
+          position,
+          surface: hitPos.surface
         });
         
         // Clear pending intent
         this.pendingSwitchInPlace = null;
+      } else if (this.pendingRestore && this.pendingRestore.modelId === config.id) {
+        // RESTORE: put the model back where the last session left it
+        this.placeRestoredModel(modelEntity, modelLayers);
       } else if (this.pendingFirstPlacement) {
         // AUTO-PLACE: first model loaded after user tapped reticle
-        const floorOffset = parseFloat(modelEntity.dataset.floorOffset) || 0;
         const hitPos = this.pendingFirstPlacement;
-        const adjustedY = hitPos.y + floorOffset;
-        const posString = `${hitPos.x} ${adjustedY} ${hitPos.z}`;
-        
-        modelEntity.setAttribute('position', posString);
+        const position = this.placeModelAtHit(modelEntity, hitPos);
         modelEntity.setAttribute('visible', 'true');
         this.modelIsPlaced = true;
         
@@ -977,8 +1092,8 @@ class WebARApp {
         this.pendingFirstPlacement = null;
         
         this.logger.info('MODEL_PLACE', 'First model auto-placed at tap position', {
-          position: posString,
-          floorOffset: floorOffset
+          position,
+          surface: hitPos.surface
         });
       } else {
         // Normal flow: enable reticle and placement now that model is ready
@@ -991,19 +1106,21 @@ class WebARApp {
         if (this.surfaceDetected) {
           this.uiController.showSurfaceDetectedInstructions();
         } else {
-          this.uiController.showInstructions('Point your device at the floor and move it around slowly', {
-            duration: 0,
-            icon: 'scan',
-            state: 'scanning'
-          });
+          this.uiController.showScanningInstructions();
         }
       }
-    });
+      
+      // Swap in the full model once it has downloaded
+      if (usePreview) {
+        this.upgradeToFullModel(config, modelEntity);
+      }
+    };
     
     // Listen for model error
-    modelEntity.addEventListener('model-error', (e) => {
+    const onModelError = (e) => {
+      removeLoadListeners();
       this.uiController.removeModelLoadingIndicator(loadingIndicator);
-      this.logger.error('MODEL_LOAD', 'A-Frame model parsing error', { 
+      this.logger.error('MODEL_LOAD', 'Model parsing error', { 
         error: e.detail?.message || e.detail || 'Unknown error',
         url: url
       });
@@ -1019,12 +1136,777 @@ class WebARApp {
         this.isModelLoading = false;
         this.uiController.setControlsEnabled(true);
         this.gallery.setEnabled(true);
+        this.applyPendingConfigUpdate();
+      }
+    };
+    
+    modelEntity.addEventListener('model-loaded', onModelLoaded);
+    modelEntity.addEventListener('model-error', onModelError);
+    
+    this.parseIntoEntity(modelEntity, modelUrl, modelBlob);
+  }
+
+  /**
+   * Parse a downloaded model into an entity's mesh. Textures are decoded and
+   * buffer views split in the model worker when possible, so the main thread
+   * only builds the scene graph.
+   * Emits model-loaded / model-error on the entity like the gltf-model component.
+   * @param {Element} modelEntity - Entity to receive the mesh
+   * @param {string} modelUrl - blob: URL from ModelLoader
+   * @param {Blob} modelBlob - The same model file
+   */
+  async parseIntoEntity(modelEntity, modelUrl, modelBlob) {
+    const startTime = Date.now();
+    let gltf;
+    try {
+      const decoded = await this.modelLoader.decodeModel(modelBlob);
+      gltf = await loadGltf(document.querySelector('a-scene'), modelUrl, modelBlob, decoded);
+      this.logger.info('MODEL_LOAD', 'Model parsed', {
+        offThreadImages: decoded?.images.size ?? 0,
+        offThreadBufferViews: decoded?.bufferViews.size ?? 0,
+        duration: `${Date.now() - startTime}ms`
+      });
+    } catch (error) {
+      modelEntity.emit('model-error', { format: 'gltf', src: modelUrl, message: error.message });
+      return;
+    }
+    
+    // The entity may have been removed (refresh, clear) while parsing
+    if (!modelEntity.parentNode) {
+      disposeObject3D(gltf.scene);
+      return;
+    }
+    
+    gltf.scene.animations = gltf.animations;
+    modelEntity.setObject3D('mesh', gltf.scene);
+    modelEntity.emit('model-loaded', { format: 'gltf', model: gltf.scene });
+  }
+
+  /**
+   * Inspect a downloaded model and enforce config.performance:
+   * over maxModelSize is refused; over recommendedModelSize or with textures
+   * larger than maxTextureSize is allowed with a warning.
+   * @param {string} url - Model URL (for messages)
+   * @param {Blob} blob - Downloaded model file
+   * @param {object} stats - inspectModel() result if already known (inspected here otherwise)
+   * @returns {Promise<object|null>} Stats from inspectModel(), null if the file could not be inspected
+   * @throws {ModelBudgetError} If the model is over maxModelSize
+   */
+  async checkModelBudget(url, blob, stats = null) {
+    const { maxModelSize, recommendedModelSize, maxTextureSize } = getConfig().performance || {};
+    
+    if (maxModelSize && blob.size > maxModelSize * BYTES_PER_MB) {
+      this.logger.error('MODEL_BUDGET', 'Model refused - over the size limit', {
+        url,
+        size: this.modelLoader.formatBytes(blob.size),
+        maxModelSizeMB: maxModelSize
+      });
+      // Don't keep a model that can never be shown (would be refused again from cache)
+      this.modelLoader.evictModel(url, { persistent: true });
+      throw new ModelBudgetError(url, blob.size, maxModelSize * BYTES_PER_MB);
+    }
+    
+    if (!stats) {
+      try {
+        stats = await inspectModel(blob);
+      } catch (error) {
+        // Let the glTF loader report the real parse error
+        this.logger.warning('MODEL_BUDGET', 'Could not inspect model', { url, error: error.message });
+        return null;
+      }
+    }
+    
+    const warnings = [];
+    if (recommendedModelSize && blob.size > recommendedModelSize * BYTES_PER_MB) {
+      warnings.push(`file size ${this.modelLoader.formatBytes(blob.size)} over the recommended ${recommendedModelSize} MB`);
+    }
+    if (maxTextureSize && stats.maxTextureDimension > maxTextureSize) {
+      warnings.push(`textures up to ${stats.maxTextureDimension}px, over the ${maxTextureSize}px limit (downscaled after parsing)`);
+    }
+    
+    const summary = {
+      url,
+      size: this.modelLoader.formatBytes(stats.fileSize),
+      triangles: stats.triangles,
+      vertices: stats.vertices,
+      textures: stats.textures.length,
+      maxTextureDimension: stats.maxTextureDimension,
+      extensionsRequired: stats.extensionsRequired
+    };
+    if (warnings.length > 0) {
+      this.logger.warning('MODEL_BUDGET', 'Model exceeds the recommended budget', { ...summary, warnings });
+      this.uiController.showToast('This model is large and may load or render slowly', 'warning', { title: 'Large Model' });
+    } else {
+      this.logger.info('MODEL_BUDGET', 'Model within budget', summary);
+    }
+    return stats;
+  }
+
+  /**
+   * Downscale a parsed model's textures to the device's texture size limit
+   * (config.performance.maxTextureSize, lowered for the GPU and low-memory devices).
+   * @param {THREE.Object3D} object - Parsed model
+   * @param {object} config - Model configuration (for logging)
+   */
+  downscaleModelTextures(object, config) {
+    if (this.textureSizeLimit === undefined) {
+      const renderer = document.querySelector('a-scene')?.renderer;
+      this.textureSizeLimit = getTextureSizeLimit(getConfig().performance?.maxTextureSize, renderer);
+      this.logger.info('MODEL_LOAD', 'Texture size limit for this device', {
+        limit: this.textureSizeLimit,
+        configured: getConfig().performance?.maxTextureSize,
+        deviceMemory: navigator.deviceMemory ?? null
+      });
+    }
+    
+    const startTime = Date.now();
+    const { resized, bytesBefore, bytesAfter } = downscaleTextures(object, this.textureSizeLimit);
+    if (resized === 0) return;
+    
+    this.logger.event('MODEL_LOAD', 'Textures downscaled', {
+      modelId: config.id,
+      textures: resized,
+      limit: this.textureSizeLimit,
+      before: this.modelLoader.formatBytes(bytesBefore),
+      after: this.modelLoader.formatBytes(bytesAfter),
+      saved: this.modelLoader.formatBytes(bytesBefore - bytesAfter),
+      duration: `${Date.now() - startTime}ms`
+    });
+  }
+
+  /**
+   * Classify a model's download size for the gallery (from a HEAD request).
+   * @param {object} model - Model configuration
+   * @returns {'too-large'|'large'|null} null when within budget or unknown
+   */
+  getModelSizeStatus(model) {
+    const size = this.modelLoader?.remoteSizes.get(model.url);
+    if (!size) return null;
+    const { maxModelSize, recommendedModelSize } = getConfig().performance || {};
+    if (maxModelSize && size > maxModelSize * BYTES_PER_MB) return 'too-large';
+    if (recommendedModelSize && size > recommendedModelSize * BYTES_PER_MB) return 'large';
+    return null;
+  }
+
+  /**
+   * HEAD the models that are not downloaded yet, flag oversized ones in the
+   * gallery and keep the prefetcher away from models that would be refused.
+   * @param {Array} models - Model configs from the catalog
+   */
+  async probeModelSizes(models) {
+    const pending = models.filter(model => !this.modelLoader.isModelCached(model.url));
+    const queue = [...pending];
+    const worker = async () => {
+      while (queue.length > 0) await this.modelLoader.probeModelSize(queue.shift().url);
+    };
+    await Promise.all([worker(), worker(), worker()]);
+    
+    // The catalog may have changed while probing
+    if (this.modelLoader.models !== models) return;
+    
+    const tooLarge = models.filter(model => this.getModelSizeStatus(model) === 'too-large');
+    this.gallery?.refreshSizeBadges();
+    if (tooLarge.length > 0) {
+      this.logger.warning('MODEL_BUDGET', 'Models over the size limit flagged in gallery', {
+        models: tooLarge.map(model => model.id)
+      });
+      this.prefetchScheduler?.prune();
+    }
+  }
+
+  /**
+   * Merge the manifest of a zip-bundled model into its config.
+   * @param {object} config - Model configuration from the catalog
+   * @param {string} url - URL the model was downloaded from
+   * @returns {object} The merged config, or the same config for plain models
+   */
+  applyBundleManifest(config, url) {
+    const manifest = this.modelLoader.getBundleManifest(url);
+    if (!manifest) return config;
+    
+    const merged = mergeBundleManifest(config, manifest);
+    this.logger.info('MODEL_LOAD', 'Applied bundle manifest', {
+      modelId: config.id,
+      fields: Object.keys(manifest).filter(field => merged[field] !== config[field])
+    });
+    return merged;
+  }
+
+  /**
+   * Progressive loading: download the full model behind a preview proxy and
+   * swap it into the same entity without a visible gap.
+   * Position, rotation, the user's pinch scale and layer visibility are kept;
+   * scale normalization and floor offset are recomputed for the new mesh.
+   * On failure the preview stays in place.
+   * @param {object} config - Model configuration (with previewUrl)
+   * @param {Element} modelEntity - Entity currently showing the preview
+   */
+  async upgradeToFullModel(config, modelEntity) {
+    const startTime = Date.now();
+    let gltf;
+    let fullStats = null;
+    
+    this.prefetchScheduler?.pause(config.url);
+    try {
+      const fullUrl = await this.modelLoader.loadModel(config.url, null);
+      config = this.applyBundleManifest(config, config.url);
+      const modelBlob = await fetch(fullUrl).then(response => response.blob());
+      fullStats = await this.checkModelBudget(config.url, modelBlob, this.modelLoader.getModelStats(config.url));
+      const decoded = await this.modelLoader.decodeModel(modelBlob);
+      gltf = await loadGltf(document.querySelector('a-scene'), fullUrl, modelBlob, decoded);
+      this.downscaleModelTextures(gltf.scene, config);
+    } catch (error) {
+      this.logger.warning('MODEL_UPGRADE', 'Full model failed to load, keeping preview', {
+        modelId: config.id,
+        error: error.message
+      });
+      return;
+    } finally {
+      this.prefetchScheduler?.resume();
+    }
+    
+    // The model may have been removed from the cache (refresh, clear) meanwhile
+    const entry = this.modelEntityCache.get(config.id);
+    if (!entry || entry.entity !== modelEntity) {
+      disposeObject3D(gltf.scene);
+      return;
+    }
+    
+    // Capture the state to carry over
+    const previewMesh = modelEntity.getObject3D('mesh');
+    const previewBaseScale = parseFloat(modelEntity.dataset.baseScale) || 1;
+    const previewOffsets = this.getPlacementOffsets(modelEntity);
+    const userScale = modelEntity.getAttribute('scale').x / previewBaseScale;
+    const hiddenNodes = new Set();
+    previewMesh?.traverse((child) => {
+      if (!child.visible && entry.layers?.some(layer => layer.node === child.name)) {
+        hiddenNodes.add(child.name);
+      }
+    });
+    
+    // Swap meshes in one step so no frame renders an empty entity
+    disposeObject3D(previewMesh);
+    modelEntity.setObject3D('mesh', gltf.scene);
+    
+    // Re-normalize for the new mesh, then re-apply the user's pinch scale
+    const normalized = this.normalizeModelScale(modelEntity, config);
+    const baseScale = normalized?.scaleFactor ?? previewBaseScale;
+    const scale = baseScale * userScale;
+    modelEntity.setAttribute('scale', `${scale} ${scale} ${scale}`);
+    
+    // Keep the model on its surface: move it along the normal by the change in offset
+    const offsets = this.getPlacementOffsets(modelEntity);
+    const [nx, ny, nz] = (modelEntity.dataset.surfaceNormal || '0 1 0').split(' ').map(Number);
+    const shift = (modelEntity.dataset.placedSurface === 'vertical'
+      ? offsets.wall - previewOffsets.wall
+      : offsets.floor - previewOffsets.floor) * userScale;
+    const position = modelEntity.getAttribute('position');
+    modelEntity.setAttribute('position', `${position.x + nx * shift} ${position.y + ny * shift} ${position.z + nz * shift}`);
+    
+    // Layers: rediscover for the new hierarchy and restore hidden ones
+    const layers = (config.layers && config.layers.length > 0)
+      ? config.layers
+      : this.discoverModelLayers(modelEntity);
+    gltf.scene.traverse((child) => {
+      if (hiddenNodes.has(child.name)) child.visible = false;
+    });
+    entry.config = config;
+    entry.layers = layers;
+    entry.isPreview = false;
+    entry.stats = fullStats;
+    entry.memoryBytes = estimateObject3DBytes(gltf.scene).bytes;
+    this.enforceEntityMemoryBudget();
+    
+    if (this.currentModel === modelEntity) {
+      this.currentModelConfig = config;
+      if (this.gestureHandler?.model === modelEntity) {
+        this.gestureHandler.setBaseScale(baseScale);
+      }
+      if (this.modelIsPlaced && layers.length > 0) {
+        this.setupLayerControls(layers, hiddenNodes);
+      }
+    }
+    
+    // The preview download is no longer needed in memory
+    this.modelLoader.evictModel(config.previewUrl);
+    
+    this.logger.success('MODEL_UPGRADE', 'Full model swapped in for preview', {
+      modelId: config.id,
+      userScale,
+      offsets,
+      hiddenLayers: [...hiddenNodes],
+      duration: `${Date.now() - startTime}ms`
+    });
+    if (this.currentModel === modelEntity) {
+      this.uiController.showToast('Full-detail model loaded', 'success');
+    }
+  }
+
+  /**
+   * Total estimated GPU memory of all parsed cached entities, in bytes.
+   */
+  getEntityMemoryBytes() {
+    let total = 0;
+    for (const entry of this.modelEntityCache.values()) total += entry.memoryBytes || 0;
+    return total;
+  }
+
+  /**
+   * Evict hidden cached entities, least recently used first, until the estimated
+   * GPU memory fits performance.entityMemoryBudget. Evicted models are re-parsed
+   * from the ModelLoader blob cache when selected again.
+   * The active model and the one a cancel would restore are never evicted.
+   */
+  enforceEntityMemoryBudget() {
+    const budgetMB = getConfig().performance?.entityMemoryBudget;
+    if (!budgetMB) return;
+    const budget = budgetMB * 1024 * 1024;
+    
+    let total = this.getEntityMemoryBytes();
+    this.logger.info('MODEL_MEMORY', 'Parsed model memory', {
+      models: this.modelEntityCache.size,
+      usedMB: (total / 1024 / 1024).toFixed(1),
+      budgetMB
+    });
+    if (total <= budget) return;
+    
+    const protectedIds = new Set([this.activeModelId, this.previousModelState?.modelId]);
+    const candidates = [...this.modelEntityCache.entries()]
+      .filter(([id, entry]) => entry.isReady && !protectedIds.has(id))
+      .sort(([, a], [, b]) => a.lastUsed - b.lastUsed);
+    
+    for (const [id, entry] of candidates) {
+      if (total <= budget) break;
+      total -= entry.memoryBytes || 0;
+      this.disposeModelEntity(entry);
+      this.modelEntityCache.delete(id);
+      this.logger.warning('MODEL_MEMORY', 'Evicted parsed model to stay within memory budget', {
+        modelId: id,
+        freedMB: ((entry.memoryBytes || 0) / 1024 / 1024).toFixed(1),
+        usedMB: (total / 1024 / 1024).toFixed(1),
+        budgetMB
+      });
+    }
+    
+    if (total > budget) {
+      this.logger.warning('MODEL_MEMORY', 'Active model alone exceeds the memory budget', {
+        usedMB: (total / 1024 / 1024).toFixed(1),
+        budgetMB
+      });
+    }
+  }
+
+  /**
+   * Remove a cached entity from the scene and free its GPU resources.
+   * @param {object} entry - modelEntityCache entry
+   */
+  disposeModelEntity(entry) {
+    const entity = entry?.entity;
+    if (!entity) return;
+    disposeObject3D(entity.getObject3D('mesh'));
+    entity.parentNode?.removeChild(entity);
+  }
+
+  /**
+   * Normalize a loaded model's scale to its targetSizeMeters and compute the
+   * floor offset that puts its lowest point on the hit-test surface, and the
+   * wall offset that puts its back face (min Z) against a wall.
+   * Stores them in the entity's dataset (baseScale, floorOffset, wallOffset).
+   * @param {Element} modelEntity - Entity with a loaded mesh
+   * @param {object} config - Model configuration
+   * @returns {{ scaleFactor: number, floorOffset: number, wallOffset: number }|null} Null if the mesh has no size
+   */
+  normalizeModelScale(modelEntity, config) {
+    // Get the Three.js mesh for bounding box calculation
+    const mesh = modelEntity.getObject3D('mesh');
+    if (!mesh) return null;
+    
+    // Measure in model space: the entity may already be placed and rotated
+    const object3D = modelEntity.object3D;
+    const savedPosition = object3D.position.clone();
+    const savedQuaternion = object3D.quaternion.clone();
+    object3D.position.set(0, 0, 0);
+    object3D.quaternion.identity();
+    
+    let result = null;
+    // Ensure world matrices are up-to-date before computing bounding box
+    mesh.updateWorldMatrix(true, true);
+    
+    // Compute bounding box relative to the (possibly anchored) container
+    const containerInverse = object3D.parent.matrixWorld.clone().invert();
+    const boundingBox = new THREE.Box3().setFromObject(mesh).applyMatrix4(containerInverse);
+    const modelSize = new THREE.Vector3();
+    boundingBox.getSize(modelSize);
+    const modelCenter = new THREE.Vector3();
+    boundingBox.getCenter(modelCenter);
+    
+    // Log raw model dimensions
+    this.logger.info('MODEL_BOUNDS', 'Raw model bounding box (native units)', {
+      min: { x: boundingBox.min.x, y: boundingBox.min.y, z: boundingBox.min.z },
+      max: { x: boundingBox.max.x, y: boundingBox.max.y, z: boundingBox.max.z },
+      size: { x: modelSize.x, y: modelSize.y, z: modelSize.z },
+      center: { x: modelCenter.x, y: modelCenter.y, z: modelCenter.z }
+    });
+    
+    // Normalize model scale to real-world meters
+    const targetSizeMeters = config.targetSizeMeters || 0.5;
+    const largestDimension = Math.max(modelSize.x, modelSize.y, modelSize.z);
+    
+    if (largestDimension > 0) {
+      const scaleFactor = targetSizeMeters / largestDimension;
+      
+      // Apply uniform scale
+      modelEntity.setAttribute('scale', `${scaleFactor} ${scaleFactor} ${scaleFactor}`);
+      
+      // Force Three.js to update matrices after scale change
+      modelEntity.object3D.updateMatrixWorld(true);
+      
+      // Recompute bounding box AFTER scale is applied
+      const scaledBoundingBox = new THREE.Box3().setFromObject(mesh).applyMatrix4(containerInverse);
+      const scaledSize = new THREE.Vector3();
+      scaledBoundingBox.getSize(scaledSize);
+      
+      this.logger.info('MODEL_SCALE', 'Model scale normalized', {
+        rawLargestDimension: largestDimension,
+        targetSizeMeters: targetSizeMeters,
+        appliedScaleFactor: scaleFactor,
+        finalSizeMeters: { x: scaledSize.x, y: scaledSize.y, z: scaledSize.z }
+      });
+      
+      // Calculate floor offset from SCALED bounding box
+      const floorOffset = -scaledBoundingBox.min.y;
+      const maxReasonableOffset = 5.0;
+      const clampedFloorOffset = Math.min(Math.abs(floorOffset), maxReasonableOffset) * Math.sign(floorOffset);
+      
+      // Same for the back face, for wall placement (glTF models face +Z)
+      const wallOffset = -scaledBoundingBox.min.z;
+      const clampedWallOffset = Math.min(Math.abs(wallOffset), maxReasonableOffset) * Math.sign(wallOffset);
+      
+      // Store base scale and offsets for placement and reset on switch
+      modelEntity.dataset.baseScale = scaleFactor;
+      modelEntity.dataset.floorOffset = clampedFloorOffset;
+      modelEntity.dataset.wallOffset = clampedWallOffset;
+      
+      this.logger.info('MODEL_PIVOT', 'Floor and wall offsets calculated', {
+        scaledBoundingBoxMinY: scaledBoundingBox.min.y,
+        scaledBoundingBoxMinZ: scaledBoundingBox.min.z,
+        clampedFloorOffset: clampedFloorOffset,
+        clampedWallOffset: clampedWallOffset
+      });
+      
+      result = { scaleFactor, floorOffset: clampedFloorOffset, wallOffset: clampedWallOffset };
+    }
+    
+    object3D.position.copy(savedPosition);
+    object3D.quaternion.copy(savedQuaternion);
+    object3D.updateMatrixWorld(true);
+    
+    return result;
+  }
+
+  /**
+   * Get the surface offsets computed by normalizeModelScale()
+   * @returns {{ floor: number, wall: number }} Meters at base scale
+   */
+  getPlacementOffsets(modelEntity) {
+    return {
+      floor: parseFloat(modelEntity.dataset.floorOffset) || 0,
+      wall: parseFloat(modelEntity.dataset.wallOffset) || 0
+    };
+  }
+
+  /**
+   * Position a model at a hit-test result so it rests on the surface.
+   * Floors: the lowest point touches the surface, offset along the surface
+   * normal; with config.ar.placement.alignment 'surface' the model also tilts
+   * onto the normal, otherwise it stays upright. Walls: the model turns to face
+   * out of the wall (+Z along the normal, Y kept up) and its back face sits flush.
+   * Stores the offset direction (surfaceNormal) and the gesture rotation axis
+   * (spinAxis) in the entity's dataset.
+   * @param {Element} modelEntity - Entity with a normalized mesh
+   * @param {object} hit - Hit from ARSession ({ x, y, z, surface, normal })
+   * @returns {{ x: number, y: number, z: number }} Final position
+   */
+  placeModelAtHit(modelEntity, hit) {
+    const dataset = modelEntity.dataset;
+    const offsets = this.getPlacementOffsets(modelEntity);
+    const up = new THREE.Vector3(0, 1, 0);
+    const normal = hit.normal
+      ? new THREE.Vector3(hit.normal.x, hit.normal.y, hit.normal.z).normalize()
+      : up.clone();
+    let spinAxis = up;
+    let offset;
+    
+    // Keep the heading the user gave the model, unless it comes off a wall
+    const heading = dataset.placedSurface === 'vertical' ? 0 : modelEntity.getAttribute('rotation').y;
+    
+    if (hit.surface === 'vertical') {
+      // Level the normal so the model stays upright on slightly tilted walls
+      normal.setY(0).normalize();
+      offset = offsets.wall;
+      spinAxis = normal;
+      modelEntity.setAttribute('rotation', `0 ${THREE.MathUtils.radToDeg(Math.atan2(normal.x, normal.z))} 0`);
+    } else if (getConfig().ar?.placement?.alignment === 'surface') {
+      // Tilt the model's up axis onto the normal, then apply the heading around it
+      offset = offsets.floor;
+      spinAxis = normal;
+      const quaternion = new THREE.Quaternion().setFromUnitVectors(up, normal)
+        .multiply(new THREE.Quaternion().setFromAxisAngle(up, THREE.MathUtils.degToRad(heading)));
+      const euler = new THREE.Euler().setFromQuaternion(quaternion, 'YXZ');
+      modelEntity.setAttribute('rotation', {
+        x: THREE.MathUtils.radToDeg(euler.x),
+        y: THREE.MathUtils.radToDeg(euler.y),
+        z: THREE.MathUtils.radToDeg(euler.z)
+      });
+    } else {
+      offset = offsets.floor;
+      // Upright: drop any wall or surface tilt from an earlier placement
+      if (dataset.placedSurface !== 'horizontal' || dataset.spinAxis !== '0 1 0') {
+        modelEntity.setAttribute('rotation', `0 ${heading} 0`);
+      }
+    }
+    
+    const position = {
+      x: hit.x + normal.x * offset,
+      y: hit.y + normal.y * offset,
+      z: hit.z + normal.z * offset
+    };
+    dataset.placedSurface = hit.surface === 'vertical' ? 'vertical' : 'horizontal';
+    dataset.surfaceNormal = `${normal.x} ${normal.y} ${normal.z}`;
+    dataset.spinAxis = `${spinAxis.x} ${spinAxis.y} ${spinAxis.z}`;
+    
+    modelEntity.setAttribute('position', `${position.x} ${position.y} ${position.z}`);
+    return position;
+  }
+
+  /**
+   * Bind the model container to an anchor at a placement hit, so placed
+   * models follow tracking updates. Without anchor support models keep
+   * their static position in the 'local' space.
+   * @param {object} hit - Hit from ARSession
+   */
+  async anchorPlacement(hit) {
+    const anchorComponent = document.getElementById('model-container')?.components['ar-anchor'];
+    if (!anchorComponent) return;
+    
+    anchorComponent.release();
+    const requestId = ++this.anchorRequestId;
+    const anchor = await this.arSession.createAnchor(hit);
+    
+    if (requestId !== this.anchorRequestId) {
+      // Released or re-placed while the anchor was being created
+      anchor?.delete();
+      return;
+    }
+    if (!anchor) {
+      this.logger.info('AR_ANCHOR', 'No anchor for placement - model stays at a fixed position');
+      return;
+    }
+    anchorComponent.setAnchor(anchor);
+    
+    if (!getConfig().ar?.anchor?.persistent) return;
+    const handle = await this.arSession.requestPersistentHandle(anchor);
+    if (!handle) return;
+    if (requestId !== this.anchorRequestId) {
+      this.arSession.deletePersistentAnchor(handle);
+      return;
+    }
+    
+    // Only the latest placement is kept
+    const previous = loadStoredPlacement(getCatalog().namespace);
+    if (previous && previous.handle !== handle) {
+      this.arSession.deletePersistentAnchor(previous.handle);
+    }
+    this.placementHandle = handle;
+    this.persistPlacement();
+  }
+
+  /**
+   * Drop the current placement anchor (clear, reposition)
+   */
+  releaseAnchor() {
+    this.anchorRequestId++;
+    this.placementHandle = null;
+    document.getElementById('model-container')?.components['ar-anchor']?.release();
+  }
+
+  /**
+   * Save the placed model relative to its persistent anchor, so the next
+   * session can restore it. No-op without a persistent anchor or placed model.
+   */
+  persistPlacement() {
+    if (!this.placementHandle || !this.modelIsPlaced || !this.currentModel || !this.activeModelId) return;
+    const toAnchor = document.getElementById('model-container')?.components['ar-anchor']?.getAnchorSpaceMatrix();
+    if (!toAnchor) return;
+    
+    const modelEntity = this.currentModel;
+    const object3D = modelEntity.object3D;
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    new THREE.Matrix4()
+      .compose(object3D.position, object3D.quaternion, new THREE.Vector3(1, 1, 1))
+      .premultiply(toAnchor)
+      .decompose(position, quaternion, new THREE.Vector3());
+    
+    const toAnchorDirection = (value) => {
+      const [x, y, z] = value.split(' ').map(Number);
+      const direction = new THREE.Vector3(x, y, z).transformDirection(toAnchor);
+      return `${direction.x} ${direction.y} ${direction.z}`;
+    };
+    const hit = this.lastPlacedHitPosition;
+    const hitPoint = new THREE.Vector3(hit.x, hit.y, hit.z).applyMatrix4(toAnchor);
+    const hitNormal = hit.normal
+      ? new THREE.Vector3(hit.normal.x, hit.normal.y, hit.normal.z).transformDirection(toAnchor)
+      : null;
+    
+    const layers = this.modelEntityCache.get(this.activeModelId)?.layers || [];
+    const hiddenLayers = [];
+    modelEntity.getObject3D('mesh')?.traverse((child) => {
+      if (!child.visible && layers.some(layer => layer.node === child.name)) {
+        hiddenLayers.push(child.name);
+      }
+    });
+    
+    saveStoredPlacement(getCatalog().namespace, {
+      handle: this.placementHandle,
+      modelId: this.activeModelId,
+      position: { x: position.x, y: position.y, z: position.z },
+      quaternion: { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w },
+      userScale: modelEntity.getAttribute('scale').x / (parseFloat(modelEntity.dataset.baseScale) || 1),
+      hiddenLayers,
+      hit: {
+        x: hitPoint.x,
+        y: hitPoint.y,
+        z: hitPoint.z,
+        surface: hit.surface,
+        normal: hitNormal && { x: hitNormal.x, y: hitNormal.y, z: hitNormal.z }
+      },
+      placedSurface: modelEntity.dataset.placedSurface || 'horizontal',
+      surfaceNormal: toAnchorDirection(modelEntity.dataset.surfaceNormal || '0 1 0'),
+      spinAxis: toAnchorDirection(modelEntity.dataset.spinAxis || '0 1 0')
+    });
+  }
+
+  /**
+   * Drop the saved placement and its persistent anchor (model cleared)
+   */
+  forgetPlacement() {
+    const saved = loadStoredPlacement(getCatalog().namespace);
+    if (!saved) return;
+    this.arSession?.deletePersistentAnchor(saved.handle);
+    clearStoredPlacement(getCatalog().namespace);
+    this.logger.info('AR_ANCHOR', 'Saved placement cleared', { modelId: saved.modelId });
+  }
+
+  /**
+   * Offer to restore the last saved placement when a session starts in a
+   * space the runtime may recognize.
+   */
+  offerPlacementRestore() {
+    if (!getConfig().ar?.anchor?.persistent || !this.arSession.persistentAnchorsSupported) return;
+    
+    const saved = loadStoredPlacement(getCatalog().namespace);
+    if (!saved || !this.arSession.hasPersistentAnchor(saved.handle)) return;
+    const modelConfig = getConfig().models?.find(model => model.id === saved.modelId);
+    if (!modelConfig) return;
+    
+    this.logger.info('AR_ANCHOR', 'Saved placement found', { modelId: saved.modelId });
+    this.uiController.showToast(`${modelConfig.name} was placed here last time`, 'info', {
+      duration: 15000,
+      action: {
+        label: 'Restore last placement',
+        onClick: () => this.restorePlacement(saved, modelConfig)
       }
     });
   }
 
+  /**
+   * Re-create a saved placement: restore its anchor, then load the model;
+   * the model-loaded handler places it (placeRestoredModel).
+   * @param {object} saved - Placement from the placement store
+   * @param {object} modelConfig - Saved model
+   */
+  async restorePlacement(saved, modelConfig) {
+    // Ignore once the user has placed or started loading something else
+    if (this.modelIsPlaced || this.isModelLoading || this.pendingFirstPlacement) {
+      this.logger.info('USER_ACTION', 'Restore ignored - a model is already placed or loading');
+      return;
+    }
+    this.logger.event('USER_ACTION', 'Restoring last placement', { modelId: saved.modelId });
+    
+    // No tap placement while the anchor is looked up
+    this.arSession.suppressPlacement(300);
+    this.arSession.setPlacementEnabled(false);
+    const requestId = ++this.anchorRequestId;
+    const anchor = await this.arSession.restorePersistentAnchor(saved.handle);
+    
+    if (requestId !== this.anchorRequestId) {
+      anchor?.delete();
+      return;
+    }
+    if (!anchor) {
+      this.uiController.showToast('The saved spot was not recognized. Tap a surface to place a model.', 'warning');
+      this.arSession.setPlacementEnabled(true);
+      return;
+    }
+    
+    this.releaseAnchor();
+    document.getElementById('model-container').components['ar-anchor'].setAnchor(anchor, { restored: true });
+    this.placementHandle = saved.handle;
+    this.pendingRestore = saved;
+    this.onModelSelect(modelConfig);
+  }
+
+  /**
+   * Place a model as saved (see persistPlacement). The container is at the
+   * restored anchor, so the anchor-space pose is used as is.
+   * @param {Element} modelEntity - Loaded model entity
+   * @param {Array<{name: string, node: string}>} layers - Toggleable layers
+   */
+  placeRestoredModel(modelEntity, layers) {
+    const saved = this.pendingRestore;
+    this.pendingRestore = null;
+    
+    const euler = new THREE.Euler().setFromQuaternion(
+      new THREE.Quaternion(saved.quaternion.x, saved.quaternion.y, saved.quaternion.z, saved.quaternion.w),
+      'YXZ'
+    );
+    const scale = (parseFloat(modelEntity.dataset.baseScale) || 1) * saved.userScale;
+    modelEntity.setAttribute('position', saved.position);
+    modelEntity.setAttribute('rotation', {
+      x: THREE.MathUtils.radToDeg(euler.x),
+      y: THREE.MathUtils.radToDeg(euler.y),
+      z: THREE.MathUtils.radToDeg(euler.z)
+    });
+    modelEntity.setAttribute('scale', `${scale} ${scale} ${scale}`);
+    modelEntity.dataset.placedSurface = saved.placedSurface;
+    modelEntity.dataset.surfaceNormal = saved.surfaceNormal;
+    modelEntity.dataset.spinAxis = saved.spinAxis;
+    modelEntity.setAttribute('visible', 'true');
+    this.modelIsPlaced = true;
+    this.lastPlacedHitPosition = { ...saved.hit };
+    
+    this.arSession.setReticleEnabled(false);
+    this.arSession.setPlacementEnabled(false);
+    
+    this.gestureHandler.attachToModel(modelEntity);
+    
+    this.uiController.showSuccessInstructions('Use 2 fingers to scale and rotate or use 1 finger to rotate', 10000);
+    
+    if (layers.length > 0) {
+      this.setupLayerControls(layers, new Set(saved.hiddenLayers));
+    }
+    
+    this.logger.info('MODEL_PLACE', 'Last placement restored', {
+      modelId: saved.modelId,
+      userScale: saved.userScale,
+      hiddenLayers: saved.hiddenLayers
+    });
+  }
+
   async onPlaceModel(position) {
     this.logger.logModelPlacement(position);
+    this.pendingRestore = null;
     
     // Placement is now controlled by ARSession.placementEnabled
     // This function is only called when placement is allowed
@@ -1038,7 +1920,8 @@ class WebARApp {
           modelId: firstModel.id,
           modelName: firstModel.name
         });
-        this.pendingFirstPlacement = { x: position.x, y: position.y, z: position.z };
+        this.pendingFirstPlacement = { ...position };
+        this.anchorPlacement(position);
         this.onModelSelect(firstModel);
       } else {
         this.uiController.showToast('No models available. Tap refresh to sync with backend.', 'warning');
@@ -1054,20 +1937,17 @@ class WebARApp {
       return;
     }
     
-    // Get floor offset calculated during model-loaded
-    const floorOffset = parseFloat(this.currentModel.dataset.floorOffset) || 0;
-    
-    // Apply floor offset to Y position so model sits on the detected surface
-    const adjustedY = position.y + floorOffset;
-    const posString = `${position.x} ${adjustedY} ${position.z}`;
-    
-    this.currentModel.setAttribute('position', posString);
+    // Apply the floor or wall offset calculated during model-loaded so the
+    // model sits on the detected surface
+    const placed = this.placeModelAtHit(this.currentModel, position);
+    const offsets = this.getPlacementOffsets(this.currentModel);
     this.currentModel.setAttribute('visible', 'true');
     this.modelIsPlaced = true;  // Mark as placed
     
     // Store raw hit position for "switch in place" functionality
     // This allows switching models while keeping them at the same surface position
-    this.lastPlacedHitPosition = { x: position.x, y: position.y, z: position.z };
+    this.lastPlacedHitPosition = { ...position };
+    this.anchorPlacement(position);
     
     // CRITICAL: Disable reticle and placement after model is placed
     // This prevents multiple placements and hides the reticle
@@ -1125,10 +2005,11 @@ class WebARApp {
           units: 'meters'
         },
         modelPlacement: {
-          description: 'Final model position after floor offset adjustment',
-          rawHitY: position.y,
-          floorOffset: floorOffset,
-          adjustedPosition: { x: position.x, y: adjustedY, z: position.z },
+          description: 'Final model position after floor/wall offset adjustment',
+          surface: position.surface,
+          surfaceNormal: position.normal,
+          offsets,
+          adjustedPosition: placed,
           units: 'meters'
         },
         modelScale: {
@@ -1147,19 +2028,20 @@ class WebARApp {
         distanceFromCamera: {
           description: 'Distance from camera to model placement point',
           distance: Math.sqrt(
-            Math.pow(position.x - cameraWorldPos.x, 2) +
-            Math.pow(adjustedY - cameraWorldPos.y, 2) +
-            Math.pow(position.z - cameraWorldPos.z, 2)
+            Math.pow(placed.x - cameraWorldPos.x, 2) +
+            Math.pow(placed.y - cameraWorldPos.y, 2) +
+            Math.pow(placed.z - cameraWorldPos.z, 2)
           ),
           units: 'meters'
         }
       });
     });  // End of requestAnimationFrame
     
-    this.logger.event('MODEL_PLACE', 'Model position updated with floor offset', {
+    this.logger.event('MODEL_PLACE', 'Model position updated with surface offset', {
       hitPosition: position,
-      floorOffset: floorOffset,
-      finalPosition: { x: position.x, y: adjustedY, z: position.z }
+      surface: position.surface,
+      offsets,
+      finalPosition: placed
     });
     
     this.uiController.showSuccessInstructions('Use 2 fingers to scale and rotate or use 1 finger to rotate', 10000);
@@ -1171,7 +2053,12 @@ class WebARApp {
     }
   }
 
-  setupLayerControls(layers) {
+  /**
+   * Build the layer toggle popup for the current model.
+   * @param {Array<{name: string, node: string}>} layers - Toggleable layers
+   * @param {Set<string>} hiddenNodes - Layers to keep hidden (all others are reset to visible)
+   */
+  setupLayerControls(layers, hiddenNodes = new Set()) {
     const layerToggleBtn = document.getElementById('layer-toggle-btn');
     const layerPopupOverlay = document.getElementById('layer-toggles');
     const layerButtons = document.getElementById('layer-buttons');
@@ -1191,7 +2078,7 @@ class WebARApp {
         layers.forEach(layer => {
           mesh.traverse((child) => {
             if (child.name === layer.node) {
-              child.visible = true;
+              child.visible = !hiddenNodes.has(layer.node);
             }
           });
         });
@@ -1203,11 +2090,12 @@ class WebARApp {
     
     // Create toggle buttons for each layer
     layers.forEach(layer => {
+      const isVisible = !hiddenNodes.has(layer.node);
       const button = document.createElement('button');
-      button.className = 'layer-btn active';
+      button.className = isVisible ? 'layer-btn active' : 'layer-btn';
       button.textContent = layer.name;
       button.dataset.layerName = layer.node;
-      button.dataset.active = 'true';
+      button.dataset.active = String(isVisible);
       
       button.addEventListener('click', () => {
         const isActive = button.dataset.active === 'true';
@@ -1273,6 +2161,7 @@ class WebARApp {
         console.log(`Layer ${nodeName} visibility: ${visible}`);
       }
     });
+    this.persistPlacement();
   }
 
   /**
@@ -1333,6 +2222,7 @@ class WebARApp {
       
       if (removeFromCache) {
         // Full removal: remove from DOM and cache
+        disposeObject3D(this.currentModel.getObject3D('mesh'));
         this.currentModel.parentNode.removeChild(this.currentModel);
         if (this.activeModelId) {
           this.modelEntityCache.delete(this.activeModelId);
@@ -1348,6 +2238,11 @@ class WebARApp {
       
       // Always reset placement state
       this.modelIsPlaced = false;
+      if (!isModelSwitch) {
+        // The next model is placed by a new tap, with a new anchor
+        this.releaseAnchor();
+        this.forgetPlacement();
+      }
       
       // Hide layer controls
       const clrLayerBtn = document.getElementById('layer-toggle-btn');
@@ -1374,11 +2269,7 @@ class WebARApp {
         if (this.surfaceDetected) {
           this.uiController.showSurfaceDetectedInstructions();
         } else {
-          this.uiController.showInstructions('Point your device at the floor and move it around slowly', {
-            duration: 0,
-            icon: 'scan',
-            state: 'scanning'
-          });
+          this.uiController.showScanningInstructions();
         }
       }
     }
@@ -1411,6 +2302,9 @@ class WebARApp {
     this.isRepositioning = true;
     this.modelIsPlaced = false;
     
+    // The re-placement tap anchors the model again
+    this.releaseAnchor();
+    
     // Detach gesture handler so hidden model doesn't eat touch events
     this.gestureHandler?.detach();
     
@@ -1453,6 +2347,11 @@ class WebARApp {
       return;
     }
     
+    if (this.isRefreshingConfig) {
+      this.logger.info('USER_ACTION', 'Refresh ignored - already refreshing');
+      return;
+    }
+    
     const refreshBtn = document.getElementById('refresh-btn');
     if (refreshBtn) {
       refreshBtn.classList.add('refreshing');
@@ -1462,85 +2361,24 @@ class WebARApp {
     this.logger.event('USER_ACTION', 'Refresh config from backend');
     
     try {
-      // 1. Re-fetch config from backend (bypasses cache)
-      const { config: newConfig, previousConfig } = await refreshConfig();
-      const oldModels = previousConfig?.models || [];
-      const newModels = newConfig.models || [];
-      
-      this.logger.info('REFRESH', 'Config refreshed', {
-        oldModelCount: oldModels.length,
-        newModelCount: newModels.length
-      });
-      
-      // 2. Sync images: download new, revoke removed
-      await this.assetManager.refreshAssets(oldModels, newModels);
-      
-      // 3. Find model IDs that were removed from config
-      const newModelIds = new Set(newModels.map(m => m.id));
-      const removedIds = [];
-      for (const [cachedId, cachedEntry] of this.modelEntityCache) {
-        if (!newModelIds.has(cachedId)) {
-          removedIds.push(cachedId);
-          // Remove entity from DOM
-          if (cachedEntry.entity?.parentNode) {
-            cachedEntry.entity.parentNode.removeChild(cachedEntry.entity);
-          }
-        }
-      }
-      
-      // Clear stale cache entries and revoke model loader's download cache
-      const newModelUrls = new Set(newModels.map(m => m.url));
-      for (const id of removedIds) {
-        const entry = this.modelEntityCache.get(id);
-        // Revoke cached model blob URL from ModelLoader if its URL was removed
-        if (entry?.config?.url && !newModelUrls.has(entry.config.url)) {
-          const cachedBlobUrl = this.modelLoader.loadedModels?.get(entry.config.url);
-          if (cachedBlobUrl) {
-            URL.revokeObjectURL(cachedBlobUrl);
-            this.modelLoader.loadedModels.delete(entry.config.url);
-          }
-        }
-        this.modelEntityCache.delete(id);
-        this.logger.info('REFRESH', 'Removed stale cached model', { modelId: id });
-      }
-      
-      // 4. If current active model was removed, reset state
-      if (this.activeModelId && !newModelIds.has(this.activeModelId)) {
-        this.gestureHandler?.detach();
-        this.currentModel = null;
-        this.activeModelId = null;
-        this.currentModelConfig = null;
-        this.modelIsPlaced = false;
-        this.lastPlacedHitPosition = null;
+      await this.runConfigRefresh(async () => {
+        // 1. Re-fetch config from backend (bypasses cache)
+        const { config: newConfig, previousConfig } = await refreshConfig();
         
-        // Hide layer controls
-        const layerBtn = document.getElementById('layer-toggle-btn');
-        if (layerBtn) layerBtn.classList.add('hidden');
-        const layerPopup = document.getElementById('layer-toggles');
-        if (layerPopup) {
-          layerPopup.classList.remove('visible');
-          layerPopup.classList.add('hidden');
-        }
+        // A deferred live sync update is superseded by this one; diff against
+        // the config the app actually applied last
+        const appliedConfig = this.pendingConfigUpdate?.previousConfig || previousConfig;
+        this.pendingConfigUpdate = null;
         
-        // Re-enable reticle for new placement
-        this.arSession.suppressPlacement(300);
-        this.arSession.setReticleEnabled(true);
-        this.arSession.setPlacementEnabled(true);
+        // 2-6. Sync images, clean stale cache entries, update loader and gallery
+        await this.applyConfigUpdate(newConfig, appliedConfig);
         
-        this.logger.info('REFRESH', 'Active model was removed from config - reset to scanning');
-      }
-      
-      // 5. Update model loader's model list
-      this.modelLoader.models = newModels;
-      
-      // 6. Update gallery with new models and refreshed asset manager
-      this.gallery.updateModels(newModels, this.assetManager);
-      
-      this.uiController.showToast(
-        `Synced: ${newModels.length} model${newModels.length !== 1 ? 's' : ''} available`,
-        'success'
-      );
-      
+        const newModels = newConfig.models || [];
+        this.uiController.showToast(
+          `Synced: ${newModels.length} model${newModels.length !== 1 ? 's' : ''} available`,
+          'success'
+        );
+      });
     } catch (error) {
       this.logger.error('REFRESH', 'Failed to refresh config', { error: error.message });
       this.uiController.showToast('Failed to refresh from backend', 'error');
@@ -1552,6 +2390,206 @@ class WebARApp {
     }
   }
 
+  /**
+   * Fetch and apply a config with isRefreshingConfig held for the whole run,
+   * so manual refreshes and live sync checks never overlap and apply out of
+   * order. A live sync update deferred meanwhile is applied afterwards.
+   * @param {Function} task - Async fetch-and-apply
+   */
+  async runConfigRefresh(task) {
+    this.isRefreshingConfig = true;
+    try {
+      return await task();
+    } finally {
+      this.isRefreshingConfig = false;
+      this.applyPendingConfigUpdate();
+    }
+  }
+
+  /**
+   * Apply a refreshed config: sync images, clean stale model cache entries,
+   * update the model loader and gallery.
+   * @param {object} newConfig - The refreshed config
+   * @param {object} previousConfig - The config it replaces
+   * @param {object} options
+   * @param {boolean} options.preserveActiveModel - Keep the active/placed model even if it was
+   *                                                removed from the catalog (used by live sync)
+   */
+  async applyConfigUpdate(newConfig, previousConfig, { preserveActiveModel = false } = {}) {
+    const oldModels = previousConfig?.models || [];
+    const newModels = newConfig.models || [];
+    
+    this.logger.info('REFRESH', 'Config refreshed', {
+      oldModelCount: oldModels.length,
+      newModelCount: newModels.length
+    });
+    this.uiController.renderConfigProvenance(getConfigProvenance());
+    this.updateCatalogStatus();
+    
+    // 2. Sync images: download new, revoke removed
+    await this.assetManager.refreshAssets(oldModels, newModels);
+    
+    // 3. Find model IDs that were removed from config
+    const newModelIds = new Set(newModels.map(m => m.id));
+    const keepActive = preserveActiveModel && this.activeModelId && !newModelIds.has(this.activeModelId);
+    const removedIds = [];
+    for (const [cachedId, cachedEntry] of this.modelEntityCache) {
+      if (!newModelIds.has(cachedId)) {
+        // Live sync never pulls the model the user is looking at
+        if (keepActive && cachedId === this.activeModelId) continue;
+        removedIds.push(cachedId);
+        // Remove entity from DOM and free its GPU memory
+        this.disposeModelEntity(cachedEntry);
+      }
+    }
+    
+    // Clear stale cache entries and revoke model loader's download cache
+    const newModelUrls = new Set(newModels.map(m => m.url));
+    for (const id of removedIds) {
+      const entry = this.modelEntityCache.get(id);
+      // Revoke cached model blob URL from ModelLoader if its URL was removed
+      if (entry?.config?.url && !newModelUrls.has(entry.config.url)) {
+        this.modelLoader.evictModel(entry.config.url);
+      }
+      this.modelEntityCache.delete(id);
+      this.logger.info('REFRESH', 'Removed stale cached model', { modelId: id });
+    }
+    
+    // 4. If current active model was removed, reset state
+    if (keepActive) {
+      this.logger.info('REFRESH', 'Active model was removed from config - kept until user switches', {
+        modelId: this.activeModelId
+      });
+    } else if (this.activeModelId && !newModelIds.has(this.activeModelId)) {
+      this.gestureHandler?.detach();
+      this.currentModel = null;
+      this.activeModelId = null;
+      this.currentModelConfig = null;
+      this.modelIsPlaced = false;
+      this.lastPlacedHitPosition = null;
+      this.releaseAnchor();
+      
+      // Hide layer controls
+      const layerBtn = document.getElementById('layer-toggle-btn');
+      if (layerBtn) layerBtn.classList.add('hidden');
+      const layerPopup = document.getElementById('layer-toggles');
+      if (layerPopup) {
+        layerPopup.classList.remove('visible');
+        layerPopup.classList.add('hidden');
+      }
+      
+      // Re-enable reticle for new placement
+      this.arSession.suppressPlacement(300);
+      this.arSession.setReticleEnabled(true);
+      this.arSession.setPlacementEnabled(true);
+      
+      this.logger.info('REFRESH', 'Active model was removed from config - reset to scanning');
+    }
+    
+    // 5. Update model loader's model list; drop downloads of re-published models
+    const oldVersions = new Map(oldModels.map(m => [m.url, m.version ?? null]));
+    for (const model of newModels) {
+      if (oldVersions.has(model.url) && oldVersions.get(model.url) !== (model.version ?? null)) {
+        this.modelLoader.evictModel(model.url);
+      }
+    }
+    this.modelLoader.models = newModels;
+    this.prefetchScheduler?.setModels(newModels);
+    this.probeModelSizes(newModels);
+    
+    // 6. Update gallery with new models and refreshed asset manager
+    this.gallery.updateModels(newModels, this.assetManager);
+    
+    // 7. Revalidate the persistent model cache (removed models, new versions,
+    // changed ETags) in the background - one HEAD per cached model
+    this.revalidateModelCache(newModels);
+  }
+
+  /**
+   * Revalidate the persistent model cache against a catalog, then refresh the
+   * offline badges and let the prefetcher re-download evicted models.
+   * @param {Array} models - Model configs from the catalog
+   */
+  async revalidateModelCache(models) {
+    try {
+      const { evicted } = await this.modelLoader.revalidateCache(models);
+      if (evicted > 0) {
+        this.gallery.refreshOfflineBadges();
+        this.prefetchScheduler?.pump();
+      }
+    } catch (error) {
+      this.logger.warning('MODEL_CACHE', 'Cache revalidation failed', { error: error.message });
+    }
+  }
+
+  /**
+   * Start opt-in live catalog sync (SSE or ETag polling) if enabled in config
+   */
+  startCatalogSync(config) {
+    const liveSync = config.server?.liveSync;
+    if (!liveSync?.enabled) return;
+    
+    this.catalogSync = new CatalogSync(
+      liveSync,
+      (update) => this.onCatalogChanged(update),
+      () => !this.isModelLoading && !this.isRefreshingConfig,
+      (task) => this.runConfigRefresh(task)
+    );
+    this.catalogSync.start();
+  }
+
+  /**
+   * Live sync reported a changed catalog: run the refresh pipeline without
+   * interrupting an in-progress load or the placed model.
+   * Runs inside runConfigRefresh (the live sync check or a deferred apply).
+   */
+  async onCatalogChanged({ config, previousConfig }) {
+    // A load may have started while the config was being fetched - apply it
+    // once that is done (the global config is already replaced, keep what the
+    // app last applied to diff against)
+    if (this.isModelLoading) {
+      this.pendingConfigUpdate = {
+        previousConfig: this.pendingConfigUpdate?.previousConfig || previousConfig
+      };
+      return;
+    }
+    
+    try {
+      await this.applyConfigUpdate(config, previousConfig, { preserveActiveModel: true });
+      const count = config.models?.length || 0;
+      this.uiController.showToast(`Catalog updated: ${count} model${count !== 1 ? 's' : ''} available`, 'info');
+    } catch (error) {
+      this.logger.error('CATALOG_SYNC', 'Failed to apply catalog update', { error: error.message });
+    }
+  }
+
+  /**
+   * Apply a live sync update that was deferred while a model load or refresh
+   * was running. Called when those finish.
+   */
+  applyPendingConfigUpdate() {
+    const pending = this.pendingConfigUpdate;
+    if (!pending || this.isModelLoading || this.isRefreshingConfig) return;
+    this.pendingConfigUpdate = null;
+    this.runConfigRefresh(() =>
+      this.onCatalogChanged({ config: getConfig(), previousConfig: pending.previousConfig })
+    );
+  }
+
+  /**
+   * Show the "offline catalog" badge when the config came from the persisted copy
+   */
+  updateCatalogStatus() {
+    const { source, fetchedAt } = getConfigSource();
+    if (source === 'offline' && fetchedAt) {
+      const fetchedDate = new Date(fetchedAt).toLocaleString();
+      this.uiController.setCatalogStatus(`Offline catalog from ${fetchedDate}`);
+      this.logger.warning('CONFIG', 'Using offline catalog', { fetchedAt: new Date(fetchedAt).toISOString() });
+    } else {
+      this.uiController.setCatalogStatus(null);
+    }
+  }
+
   /**
    * Auto-load the first model from the gallery (legacy, no longer called on session start)
    */
@@ -1604,6 +2642,8 @@ document.addEventListener('DOMContentLoaded', () => {
 // Handle page visibility changes
 document.addEventListener('visibilitychange', () => {
   if (document.hidden && window.arApp?.arSession) {
+    // The page may be discarded while hidden
+    window.arApp.persistPlacement();
     window.arApp.arSession.pause();
   } else if (!document.hidden && window.arApp?.arSession) {
     window.arApp.arSession.resume();
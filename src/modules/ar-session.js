@@ -4,6 +4,18 @@
  */
 
 import { getLogger } from './logger.js';
+import { getConfig } from '../config/config.js';
+import { HitConfidence } from './hit-confidence.js';
+
+// A hit pose's Y axis is the surface normal. Normals within 25° of world up are
+// horizontal (floors, tables); within 20° of level they are vertical (walls).
+// Ceilings and slopes in between are neither.
+const HORIZONTAL_MIN_NORMAL_Y = Math.cos(25 * Math.PI / 180);
+const VERTICAL_MAX_NORMAL_Y = Math.sin(20 * Math.PI / 180);
+
+// Anchors are created from the current hit-test result while it is this close
+// to the placed hit (meters); otherwise at the placed position itself
+const ANCHOR_HIT_TOLERANCE = 0.05;
 
 export class ARSession {
   constructor(onPlaceCallback, onStartCallback, onEndCallback) {
@@ -14,7 +26,24 @@ export class ARSession {
     this.hitTestAvailable = false;
     this.scene = null;
     this.renderer = null;
+    // Last accepted, confident hit: { x, y, z, surface: 'horizontal'|'vertical', normal: {x, y, z} }
     this.lastHitPosition = null;
+    // Hit filters from config.ar.hitTest, read when the session starts
+    this.hitTestType = 'horizontal';  // Surfaces accepted for placement
+    this.maxHitDistance = 0;          // Meters from the camera (0 = no limit)
+    this.minConfidence = 0.5;         // Confidence needed before placement
+    // XRHitTestResult behind lastHitPosition (valid for its frame only)
+    this.lastHitResult = null;
+    
+    // Anchors: placed models follow an XRAnchor when the session supports them
+    this.anchorsSupported = false;
+    this.persistentAnchorsSupported = false; // Anchors can outlive the session
+    this.pendingAnchor = null; // { hit, resolve } - created in the next frame
+    
+    // Rejected hits for the debug overlay: counts per reason and the latest one
+    this.rejectedHits = { distance: 0, surface: 0, confidence: 0 };
+    this.lastRejection = null;
+    this.lastRejectLogTime = 0;
     this.logger = getLogger();
     this.lastHitLogTime = 0;
     this.hitLogInterval = 2000; // Log hit status every 2 seconds max
@@ -24,12 +53,10 @@ export class ARSession {
     this.reticleEnabled = true;   // Controls whether reticle can be shown
     this.placementEnabled = true; // Controls whether taps trigger placement
     
-    // Surface detection state: 'detecting' → 'detected' after stable hit results
+    // Surface detection state: 'detecting' → 'detected' once hits are confident
     this.surfaceState = 'detecting';       // 'detecting' | 'detected'
     this.surfaceDetected = false;          // True only when state === 'detected'
-    this._hitStableStart = 0;              // Timestamp when continuous hits began
-    this._hitStableThreshold = 800;        // ms of continuous hits before 'detected'
-    this._lastHitActive = false;           // Whether previous frame had a hit
+    this.hitConfidence = new HitConfidence();
 
     this._markerVisible = false;
     
@@ -50,6 +77,7 @@ export class ARSession {
     // Improvement 3: Reusable objects to avoid GC churn
     this._tmpPos = new THREE.Vector3();
     this._tmpQuat = new THREE.Quaternion();
+    this._tmpNormal = new THREE.Vector3();
     
     this.init();
   }
@@ -63,6 +91,8 @@ export class ARSession {
     
     // Store reference for hit test updates
     this.hitTestMarker = document.getElementById('marker');
+    // Entity carrying the ar-anchor component (parent of all models)
+    this.anchorEntity = document.getElementById('model-container');
   }
 
   async start() {
@@ -88,12 +118,12 @@ export class ARSession {
       const sessionInitCandidates = [
         {
           requiredFeatures: ['hit-test'],
-          optionalFeatures: ['dom-overlay'],
+          optionalFeatures: ['dom-overlay', 'anchors'],
           ...(overlayRoot ? { domOverlay: { root: overlayRoot } } : {})
         },
         {
           requiredFeatures: ['hit-test'],
-          optionalFeatures: []
+          optionalFeatures: ['anchors']
         }
       ];
 
@@ -185,6 +215,22 @@ export class ARSession {
       note: 'All coordinate systems should now be aligned to local reference space'
     });
     
+    const hitTestConfig = getConfig().ar?.hitTest || {};
+    this.hitTestType = hitTestConfig.type || 'horizontal';
+    this.maxHitDistance = hitTestConfig.maxDistance || 0;
+    this.minConfidence = hitTestConfig.minConfidence ?? 0.5;
+    
+    // enabledFeatures is missing in older browsers; assume anchors work if the API exists
+    const enabledFeatures = this.session.enabledFeatures;
+    this.anchorsSupported = typeof XRAnchor !== 'undefined' &&
+      (enabledFeatures ? enabledFeatures.includes('anchors') : true);
+    this.persistentAnchorsSupported = this.anchorsSupported &&
+      typeof this.session.restorePersistentAnchor === 'function';
+    this.logger.info('AR_CONFIG', this.anchorsSupported
+      ? 'Anchors supported - placed models will follow tracking updates'
+      : 'Anchors not supported - placed models stay at a fixed position',
+      { persistent: this.persistentAnchorsSupported });
+    
     // Setup hit test source
     if (!this.session.requestHitTestSource) {
       this.hitTestAvailable = false;
@@ -204,7 +250,11 @@ export class ARSession {
     try {
       this.hitTestSource = await this.session.requestHitTestSource(hitTestOptionsInit);
       this.hitTestAvailable = true;
-      this.logger.success('HIT_TEST', 'Hit-test source created successfully');
+      this.logger.success('HIT_TEST', 'Hit-test source created successfully', {
+        surfaces: this.hitTestType,
+        maxDistance: this.maxHitDistance || 'unlimited',
+        minConfidence: this.minConfidence
+      });
     } catch (error) {
       this.hitTestAvailable = false;
       this.logger.error('HIT_TEST', 'Failed to create hit-test source', { error: error.message });
@@ -223,42 +273,60 @@ export class ARSession {
     // Perform hit test
     if (this.hitTestSource && frame) {
       const hitTestResults = frame.getHitTestResults(this.hitTestSource);
+      const viewerPose = frame.getViewerPose(this.referenceSpace);
+      const accepted = this.findPlaceableHit(hitTestResults, viewerPose?.transform.position, time);
       
-      if (hitTestResults.length > 0) {
-        const hit = hitTestResults[0];
-        const pose = hit.getPose(this.referenceSpace);
+      // Score the hit even while it is not trusted, so a steady surface builds up confidence
+      let confident = false;
+      if (accepted) {
+        const position = accepted.pose.transform.position;
+        const confidence = this.hitConfidence.update({ ...position, normal: accepted.normal }, time);
         
-        if (pose) {
-          // Update hit marker position
-          this.updateHitMarker(pose);
-          
-          // Store last hit position
-          const transform = pose.transform;
-          this.lastHitPosition = {
-            x: transform.position.x,
-            y: transform.position.y,
-            z: transform.position.z
-          };
-          
-          // Update surface state (detecting → detected after stabilization)
-          this._updateSurfaceState(true, time);
-          
-          // Update UI status
-          this.updateHitTestStatus(true);
-          
-          // Throttled logging for hit detection
-          this.hitTestResultsCount = hitTestResults.length;
-          if (time - this.lastHitLogTime > this.hitLogInterval) {
-            this.logger.logHitTestStatus(true, this.lastHitPosition, this.hitTestResultsCount);
-            this.lastHitLogTime = time;
-          }
+        // Update surface state (detecting → detected once confident)
+        this._updateSurfaceState(true, confidence);
+        confident = this.surfaceDetected;
+        if (!confident) {
+          this.rejectHit('confidence', { confidence: Number(confidence.toFixed(2)), minConfidence: this.minConfidence }, time);
+        }
+      }
+      
+      if (confident) {
+        const { pose, surface, normal, hitResult } = accepted;
+        this.lastHitResult = hitResult;
+        
+        // Update hit marker position
+        this.updateHitMarker(pose);
+        
+        // Store last hit position and the surface it lies on
+        const transform = pose.transform;
+        this.lastHitPosition = {
+          x: transform.position.x,
+          y: transform.position.y,
+          z: transform.position.z,
+          surface,
+          normal
+        };
+        
+        // Update UI status
+        this.updateHitTestStatus(true);
+        
+        // Throttled logging for hit detection
+        this.hitTestResultsCount = hitTestResults.length;
+        if (time - this.lastHitLogTime > this.hitLogInterval) {
+          this.logger.logHitTestStatus(true, this.lastHitPosition, this.hitTestResultsCount);
+          this.lastHitLogTime = time;
         }
       } else {
-        // No hit detected - clear stale position to prevent placing model at old location
+        // No trusted hit - clear stale position to prevent placing model at old location;
+        // noisy or briefly seen surfaces don't move the reticle
         this.lastHitPosition = null;
+        this.lastHitResult = null;
         
-        // Reset surface state back to detecting
-        this._updateSurfaceState(false, time);
+        // No hit at all: the next surface starts from zero
+        if (!accepted) {
+          this.hitConfidence.reset();
+          this._updateSurfaceState(false, 0);
+        }
         
         this.updateHitTestStatus(false);
         this.hideHitMarker();
@@ -272,6 +340,10 @@ export class ARSession {
       }
     }
     
+    // Anchors can only be created and read inside a frame
+    this.processAnchorRequest(frame);
+    this.anchorEntity?.components['ar-anchor']?.updateFromFrame(frame, this.referenceSpace);
+    
     // Update FPS counter if debug mode
     this.updateDebugInfo(time);
     
@@ -279,6 +351,84 @@ export class ARSession {
     this.scene.renderer.render(this.scene.object3D, this.scene.camera);
   }
 
+  /**
+   * Pick the first hit within config.ar.hitTest.maxDistance of the camera and
+   * on a surface accepted by config.ar.hitTest.type.
+   * @param {XRHitTestResult[]} hitTestResults - Results for this frame, nearest first
+   * @param {DOMPointReadOnly} cameraPosition - Viewer position (skips the distance check if missing)
+   * @param {number} time - Frame time, for throttled logging
+   * @returns {{ pose: XRPose, surface: string, normal: {x: number, y: number, z: number}, hitResult: XRHitTestResult }|null}
+   */
+  findPlaceableHit(hitTestResults, cameraPosition, time) {
+    for (const hit of hitTestResults) {
+      const pose = hit.getPose(this.referenceSpace);
+      if (!pose) continue;
+      
+      const p = pose.transform.position;
+      if (this.maxHitDistance > 0 && cameraPosition) {
+        const distance = Math.hypot(p.x - cameraPosition.x, p.y - cameraPosition.y, p.z - cameraPosition.z);
+        if (distance > this.maxHitDistance) {
+          this.rejectHit('distance', { distance: Number(distance.toFixed(2)), maxDistance: this.maxHitDistance }, time);
+          continue;
+        }
+      }
+      
+      const o = pose.transform.orientation;
+      const normal = this.getSurfaceNormal(this._tmpQuat.set(o.x, o.y, o.z, o.w));
+      const surface = this.classifySurface(normal);
+      if (!this.acceptsSurface(surface)) {
+        this.rejectHit('surface', { surface: surface || 'sloped', accepted: this.hitTestType }, time);
+        continue;
+      }
+      return { pose, surface, normal, hitResult: hit };
+    }
+    return null;
+  }
+
+  /**
+   * Record a filtered-out hit for the debug overlay (logged at most every hitLogInterval)
+   * @param {'distance'|'surface'|'confidence'} reason
+   * @param {object} details
+   * @param {number} time - Frame time
+   */
+  rejectHit(reason, details, time) {
+    this.rejectedHits[reason]++;
+    this.lastRejection = { reason, ...details };
+    
+    if (time - this.lastRejectLogTime > this.hitLogInterval) {
+      this.logger.info('HIT_TEST', `Hit rejected (${reason})`, { ...details, rejectedHits: { ...this.rejectedHits } });
+      this.lastRejectLogTime = time;
+    }
+  }
+
+  /**
+   * Get the surface normal (the pose's Y axis) of a hit orientation.
+   * @param {THREE.Quaternion} quaternion - Hit pose orientation
+   * @returns {{x: number, y: number, z: number}}
+   */
+  getSurfaceNormal(quaternion) {
+    const n = this._tmpNormal.set(0, 1, 0).applyQuaternion(quaternion);
+    return { x: n.x, y: n.y, z: n.z };
+  }
+
+  /**
+   * Classify a surface by its normal.
+   * @returns {'horizontal'|'vertical'|null} null for ceilings and slopes
+   */
+  classifySurface(normal) {
+    if (normal.y >= HORIZONTAL_MIN_NORMAL_Y) return 'horizontal';
+    if (Math.abs(normal.y) <= VERTICAL_MAX_NORMAL_Y) return 'vertical';
+    return null;
+  }
+
+  /**
+   * Check a surface class against config.ar.hitTest.type ('horizontal' | 'vertical' | 'any')
+   */
+  acceptsSurface(surface) {
+    if (!surface) return false;
+    return this.hitTestType === 'any' || this.hitTestType === surface;
+  }
+
   updateHitMarker(pose) {
     // Improvement 3 & 4: Check both marker and object3D exist
     if (!this.hitTestMarker?.object3D) return;
@@ -303,7 +453,8 @@ export class ARSession {
       }));
     }
     
-    // Update rotation from hit pose quaternion
+    // Update rotation from hit pose quaternion. The reticle lies in the pose's
+    // XZ plane, so it renders flat on floors and upright on walls
     const o = t.orientation;
     if (o) {
       this._tmpQuat.set(o.x, o.y, o.z, o.w);
@@ -353,7 +504,14 @@ export class ARSession {
     // This can happen due to brief hit-test drop between frames
     if (!placePosition && this.hitTestMarker?.object3D && this.hitTestMarker.getAttribute('visible')) {
       const markerPos = this.hitTestMarker.object3D.position;
-      placePosition = { x: markerPos.x, y: markerPos.y, z: markerPos.z };
+      const normal = this.getSurfaceNormal(this.hitTestMarker.object3D.quaternion);
+      placePosition = {
+        x: markerPos.x,
+        y: markerPos.y,
+        z: markerPos.z,
+        surface: this.classifySurface(normal) || 'horizontal',
+        normal
+      };
       this.logger.info('USER_ACTION', 'Using marker position as fallback', { position: placePosition });
     }
     
@@ -368,6 +526,118 @@ export class ARSession {
     }
   }
 
+  /**
+   * Request an anchor for a placed hit. It is created in the next XR frame.
+   * @param {{ x: number, y: number, z: number }} hit - Hit passed to the place callback
+   * @returns {Promise<XRAnchor|null>} null if anchors are unsupported or creation failed
+   */
+  createAnchor(hit) {
+    if (!this.session || !this.anchorsSupported) return Promise.resolve(null);
+    
+    // A newer placement supersedes a request that has not been handled yet
+    this.pendingAnchor?.resolve(null);
+    return new Promise((resolve) => {
+      this.pendingAnchor = { hit, resolve };
+    });
+  }
+
+  /**
+   * Create the requested anchor: from the hit-test result if the reticle is
+   * still on the placed spot (lets the runtime attach it to the plane),
+   * otherwise as a free anchor at the placed position.
+   * @param {XRFrame} frame
+   */
+  processAnchorRequest(frame) {
+    const request = this.pendingAnchor;
+    if (!request) return;
+    this.pendingAnchor = null;
+    
+    const { hit } = request;
+    const current = this.lastHitPosition;
+    const onHit = this.lastHitResult?.createAnchor && current &&
+      Math.hypot(current.x - hit.x, current.y - hit.y, current.z - hit.z) <= ANCHOR_HIT_TOLERANCE;
+    
+    let creation = null;
+    try {
+      if (onHit) {
+        creation = this.lastHitResult.createAnchor();
+      } else if (frame.createAnchor) {
+        creation = frame.createAnchor(new XRRigidTransform({ x: hit.x, y: hit.y, z: hit.z }), this.referenceSpace);
+      }
+    } catch (error) {
+      this.logger.warning('AR_ANCHOR', 'Anchor creation failed', { error: error.message });
+    }
+    
+    if (!creation) {
+      request.resolve(null);
+      return;
+    }
+    creation.then(
+      (anchor) => {
+        this.logger.success('AR_ANCHOR', 'Anchor created', { source: onHit ? 'hit-test' : 'position' });
+        request.resolve(anchor);
+      },
+      (error) => {
+        this.logger.warning('AR_ANCHOR', 'Anchor creation failed', { error: error?.message });
+        request.resolve(null);
+      }
+    );
+  }
+
+  /**
+   * Make an anchor persistent so a later session in the same space can restore it
+   * @param {XRAnchor} anchor
+   * @returns {Promise<string|null>} Handle for restorePersistentAnchor(), null if unsupported or failed
+   */
+  async requestPersistentHandle(anchor) {
+    if (!this.persistentAnchorsSupported || typeof anchor?.requestPersistentHandle !== 'function') return null;
+    try {
+      return await anchor.requestPersistentHandle();
+    } catch (error) {
+      this.logger.warning('AR_ANCHOR', 'Could not make anchor persistent', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Check whether the runtime still knows a persistent anchor. Browsers that
+   * don't list their persistent anchors are assumed to have it.
+   * @param {string} handle
+   */
+  hasPersistentAnchor(handle) {
+    if (!this.persistentAnchorsSupported) return false;
+    const known = this.session.persistentAnchors;
+    return known ? Array.from(known).includes(handle) : true;
+  }
+
+  /**
+   * Re-create a persistent anchor saved in an earlier session
+   * @param {string} handle
+   * @returns {Promise<XRAnchor|null>} null if unsupported or the space was not recognized
+   */
+  async restorePersistentAnchor(handle) {
+    if (!this.persistentAnchorsSupported) return null;
+    try {
+      return await this.session.restorePersistentAnchor(handle);
+    } catch (error) {
+      this.logger.warning('AR_ANCHOR', 'Could not restore persistent anchor', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Free a persistent anchor that is no longer needed (runtimes limit how many are kept)
+   * @param {string} handle
+   */
+  async deletePersistentAnchor(handle) {
+    if (!this.persistentAnchorsSupported || typeof this.session.deletePersistentAnchor !== 'function') return;
+    try {
+      await this.session.deletePersistentAnchor(handle);
+    } catch (error) {
+      this.logger.warning('AR_ANCHOR', 'Could not delete persistent anchor', { error: error.message });
+    }
+  }
+
   updateHitTestStatus(active) {
     // Improvement 4: Defensive null checks throughout
     
@@ -420,6 +690,25 @@ export class ARSession {
       if (fpsEl) {
         fpsEl.textContent = fps;
       }
+      
+      const confidenceEl = document.getElementById('hit-confidence');
+      if (confidenceEl) {
+        confidenceEl.textContent = this.hitConfidence.previous
+          ? `${Math.round(this.hitConfidence.confidence * 100)}% (min ${Math.round(this.minConfidence * 100)}%)`
+          : '-';
+      }
+      
+      // Filtered hits: latest reason and totals per reason
+      const rejectedEl = document.getElementById('hit-rejected');
+      if (rejectedEl) {
+        const last = this.lastRejection;
+        const detail = !last ? 'none'
+          : last.reason === 'distance' ? `distance ${last.distance}m > ${last.maxDistance}m`
+          : last.reason === 'confidence' ? `confidence ${Math.round(last.confidence * 100)}% < ${Math.round(last.minConfidence * 100)}%`
+          : `${last.surface} surface`;
+        const { distance, surface, confidence } = this.rejectedHits;
+        rejectedEl.textContent = `${detail} [distance ${distance}, surface ${surface}, confidence ${confidence}]`;
+      }
     }
   }
 
@@ -449,8 +738,15 @@ export class ARSession {
       try { this.hitTestSource.cancel(); } catch (_) { /* ignore */ }
     }
     
+    // Anchors end with the session (the app releases the bound one in onEnd)
+    this.pendingAnchor?.resolve(null);
+    this.pendingAnchor = null;
+    this.anchorsSupported = false;
+    this.persistentAnchorsSupported = false;
+    
     // Improvement 6: Reset marker explicitly
     this.lastHitPosition = null;
+    this.lastHitResult = null;
     this.hideHitMarker();
     if (this.hitTestMarker?.object3D) {
       this.hitTestMarker.object3D.position.set(0, 0, 0);
@@ -460,8 +756,9 @@ export class ARSession {
     // Reset surface detection state for next session
     this.surfaceState = 'detecting';
     this.surfaceDetected = false;
-    this._hitStableStart = 0;
-    this._lastHitActive = false;
+    this.hitConfidence.reset();
+    this.rejectedHits = { distance: 0, surface: 0, confidence: 0 };
+    this.lastRejection = null;
     
     // Clean up references
     this.session = null;
@@ -522,27 +819,25 @@ export class ARSession {
   }
 
   /**
-   * Internal: track surface detection state with stabilization timer.
-   * Transitions from 'detecting' → 'detected' after continuous hits for _hitStableThreshold ms.
-   * Resets to 'detecting' when hits stop.
+   * Internal: track surface detection state from the hit confidence (HitConfidence).
+   * Transitions from 'detecting' → 'detected' once confidence reaches minConfidence.
+   * Resets to 'detecting' when hits stop or confidence falls below half of it
+   * (the margin keeps the state from flickering around the threshold).
    */
-  _updateSurfaceState(hitActive, time) {
-    if (hitActive) {
-      if (!this._lastHitActive) {
-        // Hits just started – begin stability timer
-        this._hitStableStart = time;
-      }
-      if (this.surfaceState === 'detecting' && (time - this._hitStableStart) >= this._hitStableThreshold) {
-        this._setSurfaceState('detected');
-      }
-    } else {
+  _updateSurfaceState(hitActive, confidence) {
+    if (!hitActive) {
       // No hit – reset to detecting
       if (this.surfaceState === 'detected') {
         this._setSurfaceState('detecting');
       }
-      this._hitStableStart = 0;
+      return;
+    }
+    
+    if (this.surfaceState === 'detecting' && confidence >= this.minConfidence) {
+      this._setSurfaceState('detected');
+    } else if (this.surfaceState === 'detected' && confidence < this.minConfidence / 2) {
+      this._setSurfaceState('detecting');
     }
-    this._lastHitActive = hitActive;
   }
 
   /**
@@ -0,0 +1,166 @@
+/**
+ * Catalog Sync
+ * Opt-in live catalog updates: listens to a Server-Sent Events endpoint or
+ * polls /api/config with conditional requests, and reports changed catalogs.
+ *
+ * Updates are only applied when the app says it is safe (canApply); while
+ * it is busy (e.g. a model is loading) the check is deferred and retried.
+ */
+
+import { refreshConfig } from '../config/config.js';
+import { getLogger } from './logger.js';
+
+export class CatalogSync {
+  /**
+   * @param {object} options - config.server.liveSync
+   * @param {Function} onChange - Called with { config, previousConfig } when the catalog changed
+   * @param {Function} canApply - Returns false while an update must not be applied
+   * @param {Function} runExclusive - Runs a check (fetch and apply) under the app's
+   *        config refresh lock, so it never overlaps a manual refresh
+   */
+  constructor(options, onChange, canApply = () => true, runExclusive = (task) => task()) {
+    this.options = options || {};
+    this.onChange = onChange;
+    this.canApply = canApply;
+    this.runExclusive = runExclusive;
+    this.logger = getLogger();
+
+    this.eventSource = null;
+    this.pollTimer = null;
+    this.deferTimer = null;
+    this.isChecking = false;
+    this.isRunning = false;
+
+    // Retry interval while the app is busy
+    this.deferInterval = 2000;
+
+    // Bind methods
+    this.check = this.check.bind(this);
+    this.onVisibilityChange = this.onVisibilityChange.bind(this);
+  }
+
+  /**
+   * Start live sync in the configured mode ('sse' or 'poll')
+   */
+  start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    if (this.options.mode === 'sse' && typeof EventSource !== 'undefined' && this.options.sseUrl) {
+      this.startEventSource();
+    } else {
+      this.startPolling();
+    }
+
+    document.addEventListener('visibilitychange', this.onVisibilityChange);
+  }
+
+  /**
+   * Stop live sync and release timers/connections
+   */
+  stop() {
+    this.isRunning = false;
+    this.stopPolling();
+
+    if (this.eventSource) {
+      this.eventSource.close();
+      this.eventSource = null;
+    }
+    if (this.deferTimer) {
+      clearTimeout(this.deferTimer);
+      this.deferTimer = null;
+    }
+
+    document.removeEventListener('visibilitychange', this.onVisibilityChange);
+    this.logger.info('CATALOG_SYNC', 'Live sync stopped');
+  }
+
+  /**
+   * Subscribe to the SSE endpoint; any message triggers a conditional config fetch.
+   * Falls back to polling if the connection is closed for good.
+   */
+  startEventSource() {
+    this.eventSource = new EventSource(this.options.sseUrl);
+
+    this.eventSource.addEventListener('open', () => {
+      this.logger.info('CATALOG_SYNC', 'Live sync connected (SSE)', { url: this.options.sseUrl });
+    });
+
+    // Unnamed events and a dedicated 'config-updated' event both trigger a check
+    this.eventSource.addEventListener('message', this.check);
+    this.eventSource.addEventListener('config-updated', this.check);
+
+    this.eventSource.addEventListener('error', () => {
+      // EventSource reconnects on its own unless the server rejected the stream
+      if (this.eventSource?.readyState === EventSource.CLOSED) {
+        this.logger.warning('CATALOG_SYNC', 'SSE connection closed, falling back to polling');
+        this.eventSource = null;
+        if (this.isRunning) this.startPolling();
+      }
+    });
+  }
+
+  /**
+   * Poll /api/config (If-None-Match) at the configured interval
+   */
+  startPolling() {
+    this.stopPolling();
+    const interval = this.options.interval || 60000;
+    this.pollTimer = setInterval(() => {
+      // Skip polls while the page is in the background
+      if (!document.hidden) this.check();
+    }, interval);
+    this.logger.info('CATALOG_SYNC', 'Live sync polling started', { interval });
+  }
+
+  stopPolling() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  onVisibilityChange() {
+    // Catch up immediately when the page comes back to the foreground
+    if (!document.hidden && this.pollTimer) {
+      this.check();
+    }
+  }
+
+  /**
+   * Check the backend for a changed catalog and report it.
+   * Deferred (and retried) while the app cannot safely apply an update.
+   */
+  async check() {
+    if (!this.isRunning || this.isChecking) return;
+
+    if (!this.canApply()) {
+      if (!this.deferTimer) {
+        this.logger.info('CATALOG_SYNC', 'Update check deferred - app busy');
+        this.deferTimer = setTimeout(() => {
+          this.deferTimer = null;
+          this.check();
+        }, this.deferInterval);
+      }
+      return;
+    }
+
+    this.isChecking = true;
+    try {
+      await this.runExclusive(async () => {
+        const { config, previousConfig, changed } = await refreshConfig({ skipIfUnchanged: true });
+        if (!changed) return;
+
+        this.logger.info('CATALOG_SYNC', 'Catalog changed on backend', {
+          oldModelCount: previousConfig?.models?.length || 0,
+          newModelCount: config.models?.length || 0
+        });
+        await this.onChange?.({ config, previousConfig });
+      });
+    } catch (error) {
+      this.logger.warning('CATALOG_SYNC', 'Live sync check failed', { error: error.message });
+    } finally {
+      this.isChecking = false;
+    }
+  }
+}
@@ -4,12 +4,26 @@
  */
 
 export class Gallery {
-  constructor(models, onSelectCallback, assetManager = null) {
+  /**
+   * @param {Array} models - Model configs
+   * @param {Function} onSelectCallback - Called with the selected model
+   * @param {AssetManager} assetManager - Resolves cached thumbnail blob URLs
+   * @param {Function} isAvailableOffline - Returns true if a model needs no download
+   * @param {Function} getSizeStatus - Returns 'too-large', 'large' or null for a model
+   */
+  constructor(models, onSelectCallback, assetManager = null, isAvailableOffline = null, getSizeStatus = null) {
     this.models = models;
     this.onSelect = onSelectCallback;
     this.assetManager = assetManager;
+    this.isAvailableOffline = isAvailableOffline;
+    this.getSizeStatus = getSizeStatus;
     this.enabled = true; // Controls whether gallery selection is allowed
     
+    // Called with the IDs of model cards on screen while the gallery is open
+    this.onVisibleModelsChange = null;
+    this.visibleModelIds = new Set();
+    this.visibilityObserver = null;
+    
     this.galleryModal = document.getElementById('gallery-modal');
     this.modelGrid = document.getElementById('model-grid');
     this.galleryBtn = document.getElementById('gallery-btn');
@@ -48,6 +62,40 @@ export class Gallery {
       const card = this.createModelCard(model);
       this.modelGrid.appendChild(card);
     });
+    
+    this.observeVisibility();
+  }
+
+  /**
+   * Track which model cards are on screen (drives prefetch priorities)
+   */
+  observeVisibility() {
+    this.visibilityObserver?.disconnect();
+    this.visibleModelIds.clear();
+    if (typeof IntersectionObserver === 'undefined' || !this.modelGrid) return;
+    
+    this.visibilityObserver = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        const id = entry.target.dataset.modelId;
+        if (entry.isIntersecting) {
+          this.visibleModelIds.add(id);
+        } else {
+          this.visibleModelIds.delete(id);
+        }
+      });
+      if (this.isOpen()) {
+        this.onVisibleModelsChange?.([...this.visibleModelIds]);
+      }
+    }, { root: this.modelGrid, threshold: 0.1 });
+    
+    this.modelGrid.querySelectorAll('.model-card').forEach(card => this.visibilityObserver.observe(card));
+  }
+
+  /**
+   * Check whether the gallery is open
+   */
+  isOpen() {
+    return Boolean(this.galleryModal) && !this.galleryModal.classList.contains('hidden');
   }
 
   /**
@@ -92,12 +140,22 @@ export class Gallery {
       info.appendChild(layerBadge);
     }
     
+    const offlineBadge = document.createElement('span');
+    offlineBadge.className = 'offline-badge';
+    offlineBadge.textContent = 'Offline';
+    offlineBadge.title = 'Downloaded - available without network';
+    offlineBadge.classList.toggle('hidden', !this.isAvailableOffline?.(model));
+    info.appendChild(offlineBadge);
+    
+    const sizeBadge = document.createElement('span');
+    sizeBadge.className = 'size-badge';
+    info.appendChild(sizeBadge);
+    this.updateSizeBadge(card, sizeBadge, model);
+    
     // Assemble card
     card.appendChild(thumbnail);
     card.appendChild(name);
-    if (info.children.length > 0) {
-      card.appendChild(info);
-    }
+    card.appendChild(info);
     
     // Add click handler
     card.addEventListener('click', () => {
@@ -163,6 +221,7 @@ export class Gallery {
       setTimeout(() => {
         this.galleryModal.classList.add('visible');
       }, 10);
+      this.onVisibleModelsChange?.([...this.visibleModelIds]);
     }
   }
 
@@ -175,6 +234,7 @@ export class Gallery {
       setTimeout(() => {
         this.galleryModal.classList.add('hidden');
       }, 300);
+      this.onVisibleModelsChange?.([]);
     }
   }
 
@@ -187,6 +247,41 @@ export class Gallery {
     this.buildGallery();
   }
 
+  /**
+   * Refresh the offline badges (e.g. after a download was cached or evicted)
+   */
+  refreshOfflineBadges() {
+    this.models.forEach(model => {
+      const badge = this.modelGrid?.querySelector(`.model-card[data-model-id="${CSS.escape(model.id)}"] .offline-badge`);
+      badge?.classList.toggle('hidden', !this.isAvailableOffline?.(model));
+    });
+  }
+
+  /**
+   * Refresh the size badges (e.g. after HEAD requests returned model sizes)
+   */
+  refreshSizeBadges() {
+    this.models.forEach(model => {
+      const card = this.modelGrid?.querySelector(`.model-card[data-model-id="${CSS.escape(model.id)}"]`);
+      const badge = card?.querySelector('.size-badge');
+      if (badge) this.updateSizeBadge(card, badge, model);
+    });
+  }
+
+  /**
+   * Show a model's size status on its card
+   */
+  updateSizeBadge(card, badge, model) {
+    const status = this.getSizeStatus?.(model) || null;
+    badge.textContent = status === 'too-large' ? 'Too large' : 'Large';
+    badge.title = status === 'too-large'
+      ? 'Over the size limit - this model cannot be loaded'
+      : 'Large download - may load slowly';
+    badge.classList.toggle('hidden', !status);
+    badge.classList.toggle('too-large', status === 'too-large');
+    card.classList.toggle('too-large', status === 'too-large');
+  }
+
   /**
    * Get current selected model ID
    */
@@ -16,6 +16,11 @@ export class GestureHandler {
     this.initialScale = null;
     this.baseScale = 1;     // Normalized base scale for relative clamping
     this.lastAngle = null;  // For pinch-rotate
+    this.spinAxis = null;   // World axis for twist/drag rotation (THREE.Vector3)
+    this.transformChanged = false;
+    
+    // Called with the model entity when a gesture that rotated or scaled it ends
+    this.onTransformEnd = null;
     
     // Gesture configuration (reads from dynamically loaded config)
     this.config = getConfig().gestures;
@@ -47,6 +52,12 @@ export class GestureHandler {
     // Store base scale for relative clamping (uniform, use x component)
     this.baseScale = scale.x;
     
+    // Rotate around the axis set on placement: world up, or the surface normal
+    // for wall-mounted and surface-aligned models (spinning those around Y
+    // would turn them into the surface)
+    const [ax, ay, az] = (modelEntity.dataset.spinAxis || '0 1 0').split(' ').map(Number);
+    this.spinAxis = new THREE.Vector3(ax, ay, az);
+    
     // Add touch event listeners
     document.addEventListener('touchstart', this.onTouchStart, { passive: false });
     document.addEventListener('touchmove', this.onTouchMove, { passive: false });
@@ -55,6 +66,13 @@ export class GestureHandler {
     console.log('Gesture handler attached to model');
   }
 
+  /**
+   * Update the normalized base scale used for clamping (e.g. after the mesh was swapped)
+   */
+  setBaseScale(baseScale) {
+    this.baseScale = baseScale;
+  }
+
   /**
    * Detach gesture handlers
    */
@@ -66,6 +84,7 @@ export class GestureHandler {
     this.model = null;
     this.isRotating = false;
     this.isScaling = false;
+    this.transformChanged = false;
     
     console.log('Gesture handler detached');
   }
@@ -147,6 +166,10 @@ export class GestureHandler {
       // All touches ended
       this.isRotating = false;
       this.isScaling = false;
+      if (this.transformChanged) {
+        this.transformChanged = false;
+        this.onTransformEnd?.(this.model);
+      }
     } else if (touches.length === 1) {
       // One touch remaining - switch to rotation
       if (this.config.rotation.enabled) {
@@ -167,24 +190,24 @@ export class GestureHandler {
     const deltaX = touch.clientX - this.lastTouchX;
     const deltaY = touch.clientY - this.lastTouchY;
     
-    // Get current rotation
-    const rotation = this.model.getAttribute('rotation');
-    
     // Apply rotation based on configured axis
     const rotationSpeed = this.config.rotation.speed;
     
+    // Dragging right turns the front to the right (clockwise on walls)
+    const isWall = Math.abs(this.spinAxis.y) < 0.5;
+    const spin = (isWall ? -deltaX : deltaX) * rotationSpeed;
+    
     if (this.config.rotation.axis === 'y') {
-      // Rotate around Y axis only
-      rotation.y += deltaX * rotationSpeed;
+      // Rotate around the spin axis only
+      this.spin(spin);
     } else if (this.config.rotation.axis === 'xy') {
-      // Rotate around both X and Y
-      rotation.y += deltaX * rotationSpeed;
+      // Rotate around the spin axis and X
+      this.spin(spin);
+      const rotation = this.model.getAttribute('rotation');
       rotation.x -= deltaY * rotationSpeed;
+      this.model.setAttribute('rotation', rotation);
     }
     
-    // Apply rotation
-    this.model.setAttribute('rotation', rotation);
-    
     // Update last position
     this.lastTouchX = touch.clientX;
     this.lastTouchY = touch.clientY;
@@ -228,6 +251,7 @@ export class GestureHandler {
     
     // Apply new scale
     this.model.setAttribute('scale', newScale);
+    this.transformChanged = true;
     
     // Update last distance
     this.lastDistance = distance;
@@ -251,15 +275,30 @@ export class GestureHandler {
     if (deltaAngle > 180) deltaAngle -= 360;
     if (deltaAngle < -180) deltaAngle += 360;
     
-    // Apply rotation around Y axis
+    // Apply rotation around the spin axis
     const rotationSpeed = this.config.pinchRotate?.speed || 1.0;
-    const rotation = this.model.getAttribute('rotation');
-    rotation.y -= deltaAngle * rotationSpeed;
+    this.spin(-deltaAngle * rotationSpeed);
     
-    this.model.setAttribute('rotation', rotation);
     this.lastAngle = currentAngle;
   }
 
+  /**
+   * Rotate the model around the world-space spin axis
+   * @param {number} degrees - Counter-clockwise when looking down the axis
+   */
+  spin(degrees) {
+    const object3D = this.model.object3D;
+    const turn = new THREE.Quaternion().setFromAxisAngle(this.spinAxis, THREE.MathUtils.degToRad(degrees));
+    const euler = new THREE.Euler().setFromQuaternion(object3D.quaternion.clone().premultiply(turn), 'YXZ');
+    
+    this.model.setAttribute('rotation', {
+      x: THREE.MathUtils.radToDeg(euler.x),
+      y: THREE.MathUtils.radToDeg(euler.y),
+      z: THREE.MathUtils.radToDeg(euler.z)
+    });
+    this.transformChanged = true;
+  }
+
   /**
    * Calculate angle between two touch points (in degrees)
    */
@@ -0,0 +1,287 @@
+/**
+ * glTF Decoders
+ * Detects which compression extensions a model uses and enables the matching
+ * decoder on A-Frame's gltf-model system before the model is parsed:
+ *
+ *   KHR_draco_mesh_compression → Draco decoder      (decoders/draco/)
+ *   EXT_meshopt_compression    → Meshopt decoder    (decoders/meshopt/)
+ *   KHR_texture_basisu         → Basis transcoder   (decoders/basis/)
+ *
+ * Decoder files are shipped with the app (scripts/vite-plugin-gltf-decoders.js)
+ * and only fetched when a model needs them.
+ */
+
+import { getLogger } from './logger.js';
+
+// Decoders live next to the built app
+const DECODER_BASE = `${import.meta.env?.BASE_URL || '/'}decoders/`;
+
+const DECODER_PATHS = {
+  dracoDecoderPath: `${DECODER_BASE}draco/`,
+  meshoptDecoderPath: `${DECODER_BASE}meshopt/meshopt_decoder.js`,
+  basisTranscoderPath: `${DECODER_BASE}basis/`
+};
+
+// Extension -> gltf-model system property holding its decoder path
+const EXTENSION_DECODERS = {
+  KHR_draco_mesh_compression: 'dracoDecoderPath',
+  EXT_meshopt_compression: 'meshoptDecoderPath',
+  KHR_texture_basisu: 'basisTranscoderPath'
+};
+
+// Meshopt decoder worker threads (Draco and Basis always decode in workers)
+const MESHOPT_WORKERS = 2;
+
+// GLB container constants
+const GLB_MAGIC = 0x46546c67; // 'glTF'
+const GLB_CHUNK_JSON = 0x4e4f534a; // 'JSON'
+const GLB_HEADER_LENGTH = 12;
+
+/**
+ * Read the glTF JSON of a .glb or .gltf file without reading binary chunks.
+ * @param {Blob} blob - Model file
+ * @returns {Promise<object>} Parsed glTF JSON
+ * @throws {Error} If the file is neither a GLB nor glTF JSON
+ */
+export async function readGltfJson(blob) {
+  const header = new DataView(await blob.slice(0, GLB_HEADER_LENGTH + 8).arrayBuffer());
+
+  if (header.byteLength >= 4 && header.getUint32(0, true) === GLB_MAGIC) {
+    if (header.byteLength < GLB_HEADER_LENGTH + 8) throw new Error('Truncated GLB header');
+    const chunkLength = header.getUint32(GLB_HEADER_LENGTH, true);
+    const chunkType = header.getUint32(GLB_HEADER_LENGTH + 4, true);
+    if (chunkType !== GLB_CHUNK_JSON) throw new Error('GLB does not start with a JSON chunk');
+
+    const start = GLB_HEADER_LENGTH + 8;
+    return JSON.parse(await blob.slice(start, start + chunkLength).text());
+  }
+
+  // Plain .gltf (JSON)
+  return JSON.parse(await blob.text());
+}
+
+/**
+ * Get the extensions a glTF declares (required and used).
+ * @param {object} gltf - glTF JSON
+ * @returns {{ required: string[], used: string[] }}
+ */
+export function getGltfExtensions(gltf) {
+  return {
+    required: Array.isArray(gltf?.extensionsRequired) ? gltf.extensionsRequired : [],
+    used: Array.isArray(gltf?.extensionsUsed) ? gltf.extensionsUsed : []
+  };
+}
+
+/**
+ * Enable the decoders a model needs on the gltf-model system.
+ * Must run before the model's gltf-model component initializes, since the
+ * component picks up the system's loaders in init().
+ * @param {Element} sceneEl - The a-scene
+ * @param {Blob} blob - Model file
+ * @returns {Promise<string[]>} Decoder properties that the model needs
+ */
+export async function prepareDecoders(sceneEl, blob) {
+  const logger = getLogger();
+
+  let extensions;
+  try {
+    extensions = getGltfExtensions(await readGltfJson(blob));
+  } catch (error) {
+    // Let the glTF loader report the real parse error
+    logger.warning('GLTF_DECODERS', 'Could not read glTF header, skipping decoder detection', { error: error.message });
+    return [];
+  }
+
+  // extensionsUsed covers optional compression (e.g. meshopt with fallback buffers)
+  const needed = [...new Set([...extensions.required, ...extensions.used]
+    .map(extension => EXTENSION_DECODERS[extension])
+    .filter(Boolean))];
+
+  if (needed.length === 0) return [];
+
+  await enableDecoders(sceneEl, needed);
+
+  logger.info('GLTF_DECODERS', 'Decoders enabled for model', {
+    required: extensions.required,
+    decoders: needed
+  });
+  return needed;
+}
+
+/**
+ * Point the gltf-model system at the bundled decoders.
+ * @param {Element} sceneEl - The a-scene
+ * @param {string[]} properties - gltf-model system properties to set
+ */
+export async function enableDecoders(sceneEl, properties) {
+  const system = sceneEl?.systems?.['gltf-model'];
+  if (!system) return;
+
+  const changes = {};
+  for (const property of properties) {
+    if (system.data[property] !== DECODER_PATHS[property]) {
+      changes[property] = DECODER_PATHS[property];
+    }
+  }
+
+  if (Object.keys(changes).length > 0) {
+    sceneEl.setAttribute('gltf-model', changes);
+
+    // The Draco loader is created on scene init with A-Frame's CDN default path;
+    // the system only creates loaders once, so redirect the existing one
+    if (changes.dracoDecoderPath && system.dracoLoader) {
+      system.dracoLoader.setDecoderPath(changes.dracoDecoderPath);
+    }
+  }
+
+  // Meshopt is loaded as a script; wait so the model never parses without it.
+  // Its worker pool keeps meshopt decoding off the main thread
+  if (properties.includes('meshoptDecoderPath')) {
+    const meshoptDecoder = await system.getMeshoptDecoder?.();
+    meshoptDecoder?.useWorkers?.(MESHOPT_WORKERS);
+  }
+}
+
+/**
+ * GLTFLoader plugin that uses images already decoded by the model worker.
+ * GLTFLoader has no plugin hook for image sources, so the parser's
+ * loadImageSource is wrapped: every texture that resolves to a decoded image
+ * gets the bitmap, including extension textures (WebP/AVIF) that fall back to
+ * it. The worker drops the bytes of decoded images, so the loader must never
+ * read their buffer views. Other images (KTX2, URIs, images the worker could
+ * not decode) go through the loader's usual path.
+ * @param {Map<number, ImageBitmap>} images - Image index -> decoded bitmap
+ */
+function createDecodedImagesPlugin(images) {
+  return (parser) => {
+    const loadImageSource = parser.loadImageSource.bind(parser);
+
+    parser.loadImageSource = (sourceIndex, loader) => {
+      const bitmap = images.get(sourceIndex);
+      if (!bitmap) return loadImageSource(sourceIndex, loader);
+
+      // Same caching as the loader: later users of the image get a clone
+      if (parser.sourceCache[sourceIndex] !== undefined) {
+        return parser.sourceCache[sourceIndex].then(texture => texture.clone());
+      }
+
+      const texture = new THREE.Texture(bitmap);
+      texture.needsUpdate = true;
+      texture.userData.mimeType = parser.json.images[sourceIndex].mimeType;
+
+      const promise = Promise.resolve(texture);
+      parser.sourceCache[sourceIndex] = promise;
+      return promise;
+    };
+
+    return { name: 'WEBAR_decoded_images' };
+  };
+}
+
+/**
+ * GLTFLoader plugin that uses buffer views already cut out by the model worker.
+ * Views it does not have (e.g. Meshopt-compressed) are left to the loader.
+ * @param {Map<number, ArrayBuffer>} bufferViews - Buffer view index -> its bytes
+ */
+function createDecodedBufferViewsPlugin(bufferViews) {
+  return () => ({
+    name: 'WEBAR_decoded_buffer_views',
+    loadBufferView(bufferViewIndex) {
+      const data = bufferViews.get(bufferViewIndex);
+      return data ? Promise.resolve(data) : null;
+    }
+  });
+}
+
+// glTF material texture -> three.js material maps it loads into
+const MATERIAL_TEXTURE_MAPS = {
+  baseColorTexture: ['map'],
+  metallicRoughnessTexture: ['metalnessMap', 'roughnessMap'],
+  normalTexture: ['normalMap'],
+  occlusionTexture: ['aoMap'],
+  emissiveTexture: ['emissiveMap']
+};
+
+/**
+ * Find material textures the glTF declares but the parsed model lacks.
+ * @param {object} gltf - Parsed glTF
+ * @returns {Array<{ material: number, texture: string }>} Missing textures
+ */
+function findMissingTextures(gltf) {
+  const materialDefs = gltf.parser?.json.materials || [];
+  const missing = [];
+  const seen = new Set();
+
+  gltf.scene.traverse(object => {
+    const materials = Array.isArray(object.material) ? object.material : [object.material];
+    materials.forEach(material => {
+      const index = material && gltf.parser.associations.get(material)?.materials;
+      if (index === undefined || seen.has(index)) return;
+      seen.add(index);
+
+      const def = materialDefs[index];
+      const textures = { ...def?.pbrMetallicRoughness, ...def };
+      Object.entries(MATERIAL_TEXTURE_MAPS).forEach(([texture, maps]) => {
+        if (textures[texture] && !maps.some(map => material[map])) {
+          missing.push({ material: index, texture });
+        }
+      });
+    });
+  });
+  return missing;
+}
+
+/**
+ * Load and parse a glTF outside the gltf-model component, with the decoders it needs.
+ * @param {Element} sceneEl - The a-scene
+ * @param {string} url - Model URL (typically a blob: URL from ModelLoader)
+ * @param {Blob} blob - The same model file, used for decoder detection
+ * @param {object} decoded - From ModelLoader.decodeModel(): the GLB's JSON (or
+ *        full bytes), pre-decoded images and buffer views; parsed directly
+ *        instead of fetching url again
+ * @returns {Promise<object>} Parsed glTF ({ scene, animations, ... })
+ */
+export async function loadGltf(sceneEl, url, blob, decoded = null) {
+  await prepareDecoders(sceneEl, blob);
+
+  const loader = new THREE.GLTFLoader();
+  await applyDecodersToLoader(loader, sceneEl);
+
+  if (decoded) {
+    loader.register(createDecodedImagesPlugin(decoded.images));
+    loader.register(createDecodedBufferViewsPlugin(decoded.bufferViews));
+    const gltf = await new Promise((resolve, reject) => {
+      loader.parse(decoded.buffer, '', resolve, reject);
+    });
+
+    // The loader turns texture failures into missing maps; make them visible
+    const missing = findMissingTextures(gltf);
+    if (missing.length > 0) {
+      getLogger().warning('GLTF_DECODERS', 'Textures missing after worker decoding', { missing });
+    }
+    return gltf;
+  }
+
+  return new Promise((resolve, reject) => {
+    loader.load(url, resolve, undefined, reject);
+  });
+}
+
+/**
+ * Configure a standalone THREE.GLTFLoader with the gltf-model system's decoders.
+ * @param {THREE.GLTFLoader} loader - Loader to configure
+ * @param {Element} sceneEl - The a-scene
+ */
+export async function applyDecodersToLoader(loader, sceneEl) {
+  const system = sceneEl?.systems?.['gltf-model'];
+  if (!system) return;
+
+  const dracoLoader = system.getDRACOLoader?.();
+  if (dracoLoader) loader.setDRACOLoader(dracoLoader);
+
+  const ktx2Loader = system.getKTX2Loader?.();
+  if (ktx2Loader) loader.setKTX2Loader(ktx2Loader);
+
+  const meshoptDecoder = await system.getMeshoptDecoder?.();
+  if (meshoptDecoder) loader.setMeshoptDecoder(meshoptDecoder);
+}
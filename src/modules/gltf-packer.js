@@ -0,0 +1,146 @@
+/**
+ * glTF Packer
+ * Turns a multi-file .gltf (JSON + external .bin buffers and textures) into a
+ * single self-contained GLB, so it can live behind one blob: URL and one
+ * persistent cache entry like any other model.
+ *
+ * External buffers are merged into the GLB binary chunk (buffer 0); external
+ * images become buffer views. data: URIs and meshopt fallback buffers (no URI)
+ * are kept as they are.
+ */
+
+// GLB container constants
+const GLB_MAGIC = 0x46546c67; // 'glTF'
+const GLB_VERSION = 2;
+const GLB_CHUNK_JSON = 0x4e4f534a; // 'JSON'
+const GLB_CHUNK_BIN = 0x004e4942; // 'BIN\0'
+
+// Image extension -> MIME type, for textures served without a usable Content-Type
+const IMAGE_MIME_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  ktx2: 'image/ktx2'
+};
+
+const align4 = (value) => Math.ceil(value / 4) * 4;
+
+/**
+ * Check whether a model file is glTF JSON rather than GLB.
+ * @param {Blob} blob - Model file
+ * @returns {Promise<boolean>}
+ */
+export async function isGltfJson(blob) {
+  if (blob.size < 4) return false;
+  const head = new DataView(await blob.slice(0, 4).arrayBuffer());
+  if (head.getUint32(0, true) === GLB_MAGIC) return false;
+  return /^\s*\{/.test(await blob.slice(0, 64).text());
+}
+
+/**
+ * List the buffers and images a glTF loads from separate files.
+ * @param {object} gltf - glTF JSON
+ * @param {string} baseUrl - URL of the .gltf file; URIs resolve against it
+ * @returns {Array<{ kind: 'buffer'|'image', index: number, url: string }>}
+ */
+export function getExternalResources(gltf, baseUrl) {
+  const base = new URL(baseUrl, self.location.href);
+  const external = (uri) => typeof uri === 'string' && !uri.startsWith('data:');
+
+  return [
+    ...(gltf.buffers || []).map((buffer, index) => ({ kind: 'buffer', index, uri: buffer.uri })),
+    ...(gltf.images || []).map((image, index) => ({ kind: 'image', index, uri: image.uri }))
+  ]
+    .filter(({ uri }) => external(uri))
+    .map(({ kind, index, uri }) => ({ kind, index, url: new URL(uri, base).href }));
+}
+
+/**
+ * Guess an image's MIME type from the glTF, the response, or the file extension.
+ */
+function getImageMimeType(image, resource) {
+  if (image.mimeType) return image.mimeType;
+  if (resource.type?.startsWith('image/')) return resource.type;
+  const extension = /\.([a-z0-9]+)(?:[?#]|$)/i.exec(image.uri || '')?.[1]?.toLowerCase();
+  return IMAGE_MIME_TYPES[extension] || 'image/png';
+}
+
+/**
+ * Pack a glTF and its downloaded external resources into a GLB.
+ * @param {object} gltf - glTF JSON (not modified)
+ * @param {Map<string, Blob>} resources - `${kind}:${index}` -> downloaded file
+ * @returns {Blob} GLB file
+ */
+export function packGlb(gltf, resources) {
+  const json = JSON.parse(JSON.stringify(gltf));
+  json.bufferViews = json.bufferViews || [];
+
+  // Binary chunk parts, each starting 4-byte aligned
+  const parts = [];
+  let binLength = 0;
+  const append = (blob) => {
+    const offset = align4(binLength);
+    if (offset > binLength) parts.push(new Uint8Array(offset - binLength));
+    parts.push(blob);
+    binLength = offset + blob.size;
+    return offset;
+  };
+
+  // Buffers: external ones merge into buffer 0, the rest keep their own slot
+  const binBuffer = { byteLength: 0 };
+  const buffers = [binBuffer];
+  const bufferMap = (json.buffers || []).map((buffer, index) => {
+    const resource = resources.get(`buffer:${index}`);
+    if (resource) return { buffer: 0, offset: append(resource) };
+    buffers.push(buffer);
+    return { buffer: buffers.length - 1, offset: 0 };
+  });
+
+  const remap = (target) => {
+    const mapped = bufferMap[target.buffer];
+    if (!mapped) return;
+    target.buffer = mapped.buffer;
+    target.byteOffset = (target.byteOffset || 0) + mapped.offset;
+  };
+  json.bufferViews.forEach(view => {
+    remap(view);
+    const meshopt = view.extensions?.EXT_meshopt_compression;
+    if (meshopt) remap(meshopt);
+  });
+
+  // Images: external files become buffer views in the binary chunk
+  (json.images || []).forEach((image, index) => {
+    const resource = resources.get(`image:${index}`);
+    if (!resource) return;
+    image.mimeType = getImageMimeType(image, resource);
+    image.bufferView = json.bufferViews.length;
+    json.bufferViews.push({ buffer: 0, byteOffset: append(resource), byteLength: resource.size });
+    delete image.uri;
+  });
+
+  const paddedBinLength = align4(binLength);
+  if (paddedBinLength > binLength) parts.push(new Uint8Array(paddedBinLength - binLength));
+  binBuffer.byteLength = binLength;
+  json.buffers = buffers;
+
+  // JSON chunk, padded with spaces
+  const jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+  const jsonLength = align4(jsonBytes.length);
+  const jsonChunk = new Uint8Array(jsonLength).fill(0x20);
+  jsonChunk.set(jsonBytes);
+
+  const totalLength = 12 + 8 + jsonLength + 8 + paddedBinLength;
+  const header = new DataView(new ArrayBuffer(12 + 8));
+  header.setUint32(0, GLB_MAGIC, true);
+  header.setUint32(4, GLB_VERSION, true);
+  header.setUint32(8, totalLength, true);
+  header.setUint32(12, jsonLength, true);
+  header.setUint32(16, GLB_CHUNK_JSON, true);
+
+  const binHeader = new DataView(new ArrayBuffer(8));
+  binHeader.setUint32(0, paddedBinLength, true);
+  binHeader.setUint32(4, GLB_CHUNK_BIN, true);
+
+  return new Blob([header, jsonChunk, binHeader, ...parts], { type: 'model/gltf-binary' });
+}
@@ -0,0 +1,73 @@
+/**
+ * Hit Confidence
+ * Scores how far hit-test results can be trusted; WebXR reports no confidence
+ * of its own. A surface gains confidence by being hit continuously and by
+ * consecutive hits agreeing on the same plane (normal direction and distance
+ * of the plane from the origin). The reticle sliding across one floor keeps
+ * agreeing; hits jumping between planes or jittering poses do not.
+ */
+
+// Continuous hits needed for full confidence
+const FULL_CONFIDENCE_TIME = 800; // ms
+
+// Consecutive hits agree fully within these tolerances, not at all beyond twice them
+const NORMAL_TOLERANCE_DEG = 5;
+const PLANE_TOLERANCE_M = 0.02;
+
+// Weight of each new frame in the smoothed agreement
+const AGREEMENT_SMOOTHING = 0.2;
+
+/**
+ * 1 within tolerance, falling linearly to 0 at twice the tolerance
+ */
+function toleranceScore(value, tolerance) {
+  return Math.max(0, Math.min(1, 2 - value / tolerance));
+}
+
+export class HitConfidence {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Forget the tracked surface (no hit this frame, session ended)
+   */
+  reset() {
+    this.since = null;       // Frame time the current surface was first hit
+    this.previous = null;    // Previous hit: { normal, planeOffset }
+    this.agreement = 0;      // Smoothed agreement of consecutive hits (0..1)
+    this.confidence = 0;
+  }
+
+  /**
+   * Add this frame's hit and get the updated confidence.
+   * @param {{ x: number, y: number, z: number, normal: {x: number, y: number, z: number} }} hit
+   * @param {number} time - Frame time (ms)
+   * @returns {number} Confidence from 0 to 1
+   */
+  update(hit, time) {
+    const { normal } = hit;
+    const planeOffset = normal.x * hit.x + normal.y * hit.y + normal.z * hit.z;
+
+    if (this.previous) {
+      const prev = this.previous.normal;
+      const dot = Math.max(-1, Math.min(1, normal.x * prev.x + normal.y * prev.y + normal.z * prev.z));
+      const angle = Math.acos(dot) * 180 / Math.PI;
+      const score = Math.min(
+        toleranceScore(angle, NORMAL_TOLERANCE_DEG),
+        toleranceScore(Math.abs(planeOffset - this.previous.planeOffset), PLANE_TOLERANCE_M)
+      );
+
+      // A different plane starts over
+      if (score === 0) this.since = time;
+      this.agreement += (score - this.agreement) * AGREEMENT_SMOOTHING;
+    } else {
+      this.since = time;
+    }
+    this.previous = { normal, planeOffset };
+
+    const age = Math.min(1, (time - this.since) / FULL_CONFIDENCE_TIME);
+    this.confidence = age * this.agreement;
+    return this.confidence;
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * Integrity
+ * Verifies downloaded model bytes against a model's `sha256` (hex digest)
+ * or SRI-style `integrity` field (e.g. "sha384-<base64>") using SubtleCrypto.
+ */
+
+// SRI algorithm prefix -> SubtleCrypto algorithm name
+const SRI_ALGORITHMS = {
+  sha256: 'SHA-256',
+  sha384: 'SHA-384',
+  sha512: 'SHA-512'
+};
+
+function toHex(bytes) {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary);
+}
+
+/**
+ * Read the expected digests of a model config.
+ * SRI lists may hold several hashes; per the SRI spec only the strongest
+ * algorithm present is checked and any of its hashes may match.
+ * @param {object} model - Model config
+ * @returns {Array<{ algorithm: string, encoding: 'hex'|'base64', digest: string, source: string }>}
+ *          Empty when the model has no integrity metadata
+ */
+export function getExpectedDigests(model) {
+  if (typeof model?.sha256 === 'string' && model.sha256) {
+    return [{ algorithm: 'SHA-256', encoding: 'hex', digest: model.sha256.toLowerCase(), source: model.sha256 }];
+  }
+
+  if (typeof model?.integrity !== 'string') return [];
+
+  const digests = model.integrity.trim().split(/\s+/)
+    .map(token => /^(sha256|sha384|sha512)-([A-Za-z0-9+/]+={0,2})(\?.*)?$/.exec(token))
+    .filter(Boolean)
+    .map(([source, prefix, digest]) => ({ algorithm: SRI_ALGORITHMS[prefix], encoding: 'base64', digest, source }));
+
+  const strongest = ['SHA-512', 'SHA-384', 'SHA-256'].find(algorithm => digests.some(d => d.algorithm === algorithm));
+  return digests.filter(d => d.algorithm === strongest);
+}
+
+/**
+ * Hash model bytes and compare them to the expected digests.
+ * @param {ArrayBuffer|Blob} data - Downloaded bytes
+ * @param {Array} expected - From getExpectedDigests(); must not be empty
+ * @returns {Promise<{ valid: boolean, expected: string, actual: string }>}
+ */
+export async function verifyDigests(data, expected) {
+  const buffer = data instanceof Blob ? await data.arrayBuffer() : data;
+  const { algorithm, encoding } = expected[0];
+  const hash = new Uint8Array(await crypto.subtle.digest(algorithm, buffer));
+  const actual = encoding === 'hex' ? toHex(hash) : toBase64(hash);
+
+  return {
+    valid: expected.some(d => d.digest === actual),
+    expected: expected.map(d => d.source).join(' '),
+    actual: encoding === 'hex' ? actual : `${expected[0].source.split('-')[0]}-${actual}`
+  };
+}
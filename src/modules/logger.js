@@ -189,7 +189,7 @@ export class Logger {
     this.info('MODEL_LOAD', `Loading model: ${modelName}`, { 
       name: modelName, 
       url,
-      fullUrl: new URL(url, window.location.origin).href,
+      fullUrl: new URL(url, self.location.origin).href,
       timestamp: Date.now()
     });
   }
@@ -228,7 +228,7 @@ export class Logger {
       status,
       method,
       url,
-      fullUrl: new URL(url, window.location.origin).href,
+      fullUrl: new URL(url, self.location.origin).href,
       statusText: details.statusText,
       contentType: details.contentType,
       contentLength: details.contentLength,
@@ -325,7 +325,7 @@ export class Logger {
   logFetchAttempt(url, options = {}) {
     this.info('FETCH_START', `Attempting to fetch: ${url}`, {
       url,
-      fullUrl: new URL(url, window.location.origin).href,
+      fullUrl: new URL(url, self.location.origin).href,
       method: options.method || 'GET',
       headers: options.headers,
       timestamp: Date.now()
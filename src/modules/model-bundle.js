@@ -0,0 +1,226 @@
+/**
+ * Model Bundle
+ * Unpacks zipped model bundles (.zip / .webar) in the browser.
+ *
+ * A bundle holds one glTF/GLB model, its resources, and an optional
+ * manifest.json at the archive root:
+ *
+ *   {
+ *     "model": "chair.gltf",             // Defaults to the only .glb/.gltf in the archive
+ *     "targetSizeMeters": 0.9,
+ *     "layers": [{ "name": "Cushions", "node": "Cushions" }],
+ *     "renderingImages": ["chair-render-1.jpg"]  // Relative to the bundle URL
+ *   }
+ *
+ * Rendering images show while the bundle downloads, so they are hosted beside
+ * the bundle rather than inside it. Stored and deflated entries are supported
+ * (no ZIP64, no encryption); deflate uses DecompressionStream.
+ */
+
+import { readGltfJson } from './gltf-decoders.js';
+import { getExternalResources, packGlb } from './gltf-packer.js';
+import { ModelLoadError, ModelErrorKind } from './model-errors.js';
+
+// ZIP record signatures
+const SIG_LOCAL_FILE = 0x04034b50;
+const SIG_CENTRAL_DIRECTORY = 0x02014b50;
+const SIG_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+// End of central directory record: 22 bytes plus a comment of up to 64 KB
+const EOCD_LENGTH = 22;
+const EOCD_SEARCH_LENGTH = EOCD_LENGTH + 0xffff;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+const MANIFEST_FILE = 'manifest.json';
+const MODEL_EXTENSIONS = /\.(glb|gltf)$/i;
+
+// Per-model config fields a bundle manifest may supply
+const BUNDLE_FIELDS = ['targetSizeMeters', 'layers', 'renderingImages'];
+
+// Base URL used to resolve paths inside the archive
+const ARCHIVE_BASE = 'https://bundle.invalid/';
+
+/**
+ * Check whether a downloaded model file is a zip bundle.
+ * @param {Blob} blob - Downloaded file
+ * @returns {Promise<boolean>}
+ */
+export async function isBundle(blob) {
+  if (blob.size < 4) return false;
+  const head = new DataView(await blob.slice(0, 4).arrayBuffer());
+  return head.getUint32(0, true) === SIG_LOCAL_FILE;
+}
+
+/**
+ * Read the central directory of a zip file.
+ * @param {Blob} blob - Zip file
+ * @returns {Promise<Map<string, { method: number, compressedSize: number, size: number, offset: number }>>}
+ */
+async function readEntries(blob) {
+  const tailStart = Math.max(0, blob.size - EOCD_SEARCH_LENGTH);
+  const tail = new DataView(await blob.slice(tailStart).arrayBuffer());
+
+  let eocd = -1;
+  for (let i = tail.byteLength - EOCD_LENGTH; i >= 0; i--) {
+    if (tail.getUint32(i, true) === SIG_END_OF_CENTRAL_DIRECTORY) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error('Not a zip archive (no central directory)');
+
+  const count = tail.getUint16(eocd + 10, true);
+  const directorySize = tail.getUint32(eocd + 12, true);
+  const directoryOffset = tail.getUint32(eocd + 16, true);
+  const directory = new DataView(await blob.slice(directoryOffset, directoryOffset + directorySize).arrayBuffer());
+  const decoder = new TextDecoder();
+
+  const entries = new Map();
+  let position = 0;
+  for (let i = 0; i < count; i++) {
+    if (directory.getUint32(position, true) !== SIG_CENTRAL_DIRECTORY) {
+      throw new Error('Corrupt zip central directory');
+    }
+    const flags = directory.getUint16(position + 8, true);
+    const nameLength = directory.getUint16(position + 28, true);
+    const extraLength = directory.getUint16(position + 30, true);
+    const commentLength = directory.getUint16(position + 32, true);
+    const name = decoder.decode(new Uint8Array(directory.buffer, position + 46, nameLength));
+
+    if (flags & 0x1) throw new Error(`Encrypted zip entry: ${name}`);
+    if (!name.endsWith('/')) {
+      entries.set(name, {
+        method: directory.getUint16(position + 10, true),
+        compressedSize: directory.getUint32(position + 20, true),
+        size: directory.getUint32(position + 24, true),
+        offset: directory.getUint32(position + 42, true)
+      });
+    }
+    position += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * Extract one zip entry.
+ * @returns {Promise<Blob>}
+ */
+async function readEntry(blob, name, entry) {
+  // The local header repeats name and extra field with its own lengths
+  const header = new DataView(await blob.slice(entry.offset, entry.offset + 30).arrayBuffer());
+  if (header.getUint32(0, true) !== SIG_LOCAL_FILE) throw new Error(`Corrupt zip entry: ${name}`);
+  const dataStart = entry.offset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+  const data = blob.slice(dataStart, dataStart + entry.compressedSize);
+
+  if (entry.method === METHOD_STORED) return data;
+  if (entry.method !== METHOD_DEFLATE) throw new Error(`Unsupported zip compression method ${entry.method}: ${name}`);
+  if (typeof DecompressionStream === 'undefined') throw new Error('This browser cannot unpack zip bundles');
+
+  return new Response(data.stream().pipeThrough(new DecompressionStream('deflate-raw'))).blob();
+}
+
+/**
+ * Resolve a path relative to a file inside the archive.
+ */
+function resolveEntryName(path, fromName = '') {
+  const url = new URL(path, ARCHIVE_BASE + fromName);
+  return decodeURIComponent(url.pathname.slice(1));
+}
+
+/**
+ * Keep the manifest fields that have the expected types.
+ */
+function sanitizeManifest(raw, bundleUrl) {
+  const manifest = {};
+  if (typeof raw?.model === 'string') manifest.model = raw.model;
+
+  const size = Number(raw?.targetSizeMeters);
+  if (Number.isFinite(size) && size > 0) manifest.targetSizeMeters = size;
+
+  if (Array.isArray(raw?.layers)) {
+    manifest.layers = raw.layers
+      .map(layer => typeof layer === 'string' ? { name: layer, node: layer } : layer)
+      .filter(layer => typeof layer?.name === 'string' && typeof layer?.node === 'string');
+  }
+
+  if (Array.isArray(raw?.renderingImages)) {
+    const base = new URL(bundleUrl, self.location.href);
+    manifest.renderingImages = raw.renderingImages
+      .filter(image => typeof image === 'string' && image)
+      .map(image => new URL(image, base).href);
+  }
+  return manifest;
+}
+
+/**
+ * Unpack a bundle into a self-contained GLB and its manifest.
+ * A .gltf inside the bundle is packed with the resources it references.
+ * @param {Blob} blob - Downloaded bundle
+ * @param {string} bundleUrl - URL the bundle was downloaded from
+ * @returns {Promise<{ model: Blob, manifest: object }>}
+ * @throws {ModelLoadError} (corrupt) If the archive or its model cannot be read
+ */
+export async function unpackBundle(blob, bundleUrl) {
+  try {
+    const entries = await readEntries(blob);
+    const extract = (name) => {
+      const entry = entries.get(name);
+      if (!entry) throw new Error(`Bundle is missing ${name}`);
+      return readEntry(blob, name, entry);
+    };
+
+    const manifest = entries.has(MANIFEST_FILE)
+      ? sanitizeManifest(JSON.parse(await (await extract(MANIFEST_FILE)).text()), bundleUrl)
+      : {};
+
+    // The manifest names the model, or the archive holds exactly one
+    let modelName = manifest.model ? resolveEntryName(manifest.model) : null;
+    if (!modelName) {
+      const candidates = [...entries.keys()].filter(name => MODEL_EXTENSIONS.test(name));
+      if (candidates.length !== 1) {
+        throw new Error(`Bundle must contain one .glb/.gltf or name it in ${MANIFEST_FILE} (found ${candidates.length})`);
+      }
+      modelName = candidates[0];
+    }
+    delete manifest.model;
+
+    const modelFile = await extract(modelName);
+    if (!/\.gltf$/i.test(modelName)) {
+      return { model: new Blob([modelFile], { type: 'model/gltf-binary' }), manifest };
+    }
+
+    // .gltf: pull buffers and textures from the archive, relative to the .gltf
+    const gltf = await readGltfJson(modelFile);
+    const resources = getExternalResources(gltf, ARCHIVE_BASE + modelName);
+    const files = new Map();
+    for (const resource of resources) {
+      const name = resolveEntryName(resource.url);
+      files.set(`${resource.kind}:${resource.index}`, await extract(name));
+    }
+    return { model: packGlb(gltf, files), manifest };
+  } catch (error) {
+    throw new ModelLoadError(ModelErrorKind.CORRUPT, bundleUrl, `Invalid model bundle: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Merge a bundle manifest into a model config.
+ * The catalog (backend) config wins; the manifest fills fields it leaves empty.
+ * @param {object} modelConfig - Model entry from the config
+ * @param {object|null} manifest - From unpackBundle()
+ * @returns {object} Merged model config (the input is not modified)
+ */
+export function mergeBundleManifest(modelConfig, manifest) {
+  if (!manifest) return modelConfig;
+
+  const isEmpty = (value) => value === undefined || value === null || (Array.isArray(value) && value.length === 0);
+  const merged = { ...modelConfig };
+  for (const field of BUNDLE_FIELDS) {
+    if (isEmpty(merged[field]) && !isEmpty(manifest[field])) {
+      merged[field] = manifest[field];
+    }
+  }
+  return merged;
+}
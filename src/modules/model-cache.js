@@ -0,0 +1,384 @@
+/**
+ * Model Cache
+ * Persistent cross-session cache for downloaded model files, backed by
+ * Cache Storage (one cache per catalog namespace).
+ *
+ * Entries are valid for a model URL plus its ETag / catalog `version`, so a
+ * re-published model is downloaded again. A small index in localStorage keeps
+ * size and last-access time per entry, which allows synchronous availability
+ * checks (gallery offline badges) and least-recently-used eviction against a
+ * byte budget and the browser's storage quota.
+ */
+
+import { getLogger } from './logger.js';
+
+// Free space kept in reserve when checking navigator.storage.estimate()
+const QUOTA_RESERVE = 10 * 1024 * 1024;
+
+export class ModelCache {
+  /**
+   * @param {object} options
+   * @param {string} options.namespace - Catalog storage namespace
+   * @param {number} options.maxBytes - Byte budget for cached models (0 disables the cache)
+   */
+  constructor({ namespace = 'default', maxBytes = 0 } = {}) {
+    this.namespace = namespace;
+    this.maxBytes = maxBytes;
+    this.cacheName = `webar-models-${namespace}`;
+    this.indexKey = `webar:model-cache:${namespace}`;
+    this.logger = getLogger();
+
+    this.enabled = maxBytes > 0 && typeof caches !== 'undefined';
+    this.index = this.enabled ? this._readIndex() : {};
+    this.persistRequested = false;
+
+    // Drop index entries whose cached response has gone missing (and vice versa)
+    this.ready = this.enabled ? this._reconcile() : Promise.resolve();
+  }
+
+  /**
+   * Read the entry index: url -> { etag, version, size, type, storedAt, lastAccess }
+   */
+  _readIndex() {
+    try {
+      const raw = localStorage.getItem(this.indexKey);
+      const index = raw ? JSON.parse(raw) : {};
+      return index && typeof index === 'object' && !Array.isArray(index) ? index : {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  _writeIndex() {
+    try {
+      localStorage.setItem(this.indexKey, JSON.stringify(this.index));
+    } catch (e) {
+      this.logger.warning('MODEL_CACHE', 'Failed to write model cache index', { error: e.message });
+    }
+  }
+
+  /**
+   * Absolute request URL used as the Cache Storage key
+   */
+  _requestUrl(url) {
+    return new URL(url, window.location.origin).href;
+  }
+
+  async _reconcile() {
+    try {
+      const cache = await caches.open(this.cacheName);
+      const keys = await cache.keys();
+      const cachedUrls = new Set(keys.map(request => request.url));
+
+      let dropped = 0;
+      for (const url of Object.keys(this.index)) {
+        if (!cachedUrls.has(this._requestUrl(url))) {
+          delete this.index[url];
+          dropped++;
+        }
+      }
+
+      const indexed = new Set(Object.keys(this.index).map(url => this._requestUrl(url)));
+      for (const request of keys) {
+        if (!indexed.has(request.url)) {
+          await cache.delete(request);
+          dropped++;
+        }
+      }
+
+      if (dropped > 0) {
+        this._writeIndex();
+        this.logger.info('MODEL_CACHE', 'Reconciled persistent model cache', { dropped });
+      }
+    } catch (e) {
+      this.logger.warning('MODEL_CACHE', 'Persistent model cache unavailable', { error: e.message });
+      this.enabled = false;
+      this.index = {};
+    }
+  }
+
+  /**
+   * Check whether a model is available from the persistent cache.
+   * @param {string} url - Model URL
+   * @param {string|number} version - Catalog version of the model, if any
+   */
+  has(url, version = null) {
+    const entry = this.index[url];
+    return Boolean(entry) && this._matchesVersion(entry, version);
+  }
+
+  /**
+   * Check whether a cached model is a packed multi-file .gltf
+   * (its bytes differ from the file the catalog describes).
+   */
+  isPacked(url) {
+    return Boolean(this.index[url]?.packed);
+  }
+
+  /**
+   * Get the stored manifest of a cached zip bundle, or null.
+   */
+  getManifest(url) {
+    return this.index[url]?.manifest || null;
+  }
+
+  _matchesVersion(entry, version) {
+    return version === null || version === undefined || entry.version === String(version);
+  }
+
+  /**
+   * Get a cached model blob, or null if missing or stale.
+   * @param {string} url - Model URL
+   * @param {string|number} version - Catalog version of the model, if any
+   * @returns {Promise<Blob|null>}
+   */
+  async get(url, version = null) {
+    if (!this.enabled) return null;
+    await this.ready;
+
+    const entry = this.index[url];
+    if (!entry) return null;
+
+    if (!this._matchesVersion(entry, version)) {
+      this.logger.info('MODEL_CACHE', 'Cached model is outdated, evicting', {
+        url,
+        cachedVersion: entry.version,
+        version: String(version)
+      });
+      await this.delete(url);
+      return null;
+    }
+
+    try {
+      const cache = await caches.open(this.cacheName);
+      const response = await cache.match(this._requestUrl(url));
+      if (!response) {
+        delete this.index[url];
+        this._writeIndex();
+        return null;
+      }
+
+      const blob = await response.blob();
+      entry.lastAccess = Date.now();
+      this._writeIndex();
+      return blob;
+    } catch (e) {
+      this.logger.warning('MODEL_CACHE', 'Failed to read cached model', { url, error: e.message });
+      return null;
+    }
+  }
+
+  /**
+   * Store a downloaded model, evicting least recently used entries to stay
+   * within the byte budget and the available storage quota.
+   * @param {string} url - Model URL
+   * @param {Blob} blob - Model file
+   * @param {object} meta
+   * @param {string|null} meta.etag - ETag of the downloaded response
+   * @param {string|number|null} meta.version - Catalog version of the model
+   * @param {boolean} meta.packed - True if a multi-file .gltf or a bundle was packed into a GLB
+   * @param {object|null} meta.manifest - Manifest of a zip bundle
+   * @returns {Promise<boolean>} True if the model was stored
+   */
+  async put(url, blob, { etag = null, version = null, packed = false, manifest = null } = {}) {
+    if (!this.enabled) return false;
+    await this.ready;
+
+    const size = blob.size;
+    if (size > this.maxBytes) {
+      this.logger.info('MODEL_CACHE', 'Model larger than cache budget, not persisted', {
+        url,
+        size,
+        budget: this.maxBytes
+      });
+      return false;
+    }
+
+    try {
+      // Replacing an entry frees its space first
+      if (this.index[url]) await this.delete(url);
+
+      await this._evictFor(size);
+      if (!(await this._hasQuotaFor(size))) {
+        this.logger.warning('MODEL_CACHE', 'Not enough storage quota, model not persisted', { url, size });
+        return false;
+      }
+
+      const cache = await caches.open(this.cacheName);
+      await cache.put(this._requestUrl(url), new Response(blob, {
+        headers: {
+          'Content-Type': blob.type || 'model/gltf-binary',
+          'Content-Length': String(size)
+        }
+      }));
+
+      const now = Date.now();
+      this.index[url] = {
+        etag,
+        version: version === null || version === undefined ? null : String(version),
+        size,
+        type: blob.type,
+        packed,
+        manifest,
+        storedAt: now,
+        lastAccess: now
+      };
+      this._writeIndex();
+      this._requestPersistence();
+
+      this.logger.success('MODEL_CACHE', 'Model stored in persistent cache', {
+        url,
+        size,
+        totalBytes: this.getTotalBytes(),
+        budget: this.maxBytes
+      });
+      return true;
+    } catch (e) {
+      // QuotaExceededError and friends: the model still works from memory
+      this.logger.warning('MODEL_CACHE', 'Failed to persist model', { url, error: e.message });
+      return false;
+    }
+  }
+
+  /**
+   * Evict least recently used entries until `size` more bytes fit the budget.
+   */
+  async _evictFor(size) {
+    const byAge = Object.entries(this.index).sort(([, a], [, b]) => a.lastAccess - b.lastAccess);
+    while (byAge.length > 0 && this.getTotalBytes() + size > this.maxBytes) {
+      const [url, entry] = byAge.shift();
+      this.logger.info('MODEL_CACHE', 'Evicting least recently used model', {
+        url,
+        size: entry.size,
+        lastAccess: entry.lastAccess
+      });
+      await this.delete(url);
+    }
+  }
+
+  /**
+   * Check the storage quota, evicting LRU entries while it is too tight.
+   */
+  async _hasQuotaFor(size) {
+    if (!navigator.storage?.estimate) return true;
+
+    const fits = async () => {
+      const { usage = 0, quota = Infinity } = await navigator.storage.estimate();
+      return quota - usage >= size + QUOTA_RESERVE;
+    };
+
+    const byAge = Object.entries(this.index).sort(([, a], [, b]) => a.lastAccess - b.lastAccess);
+    while (!(await fits())) {
+      if (byAge.length === 0) return false;
+      const [url] = byAge.shift();
+      await this.delete(url);
+    }
+    return true;
+  }
+
+  /**
+   * Ask the browser not to evict the cache under storage pressure (best effort, once).
+   */
+  _requestPersistence() {
+    if (this.persistRequested || !navigator.storage?.persist) return;
+    this.persistRequested = true;
+    navigator.storage.persist().then(granted => {
+      this.logger.info('MODEL_CACHE', `Persistent storage ${granted ? 'granted' : 'not granted'}`);
+    }).catch(() => {});
+  }
+
+  /**
+   * Remove a cached model.
+   * @param {string} url - Model URL
+   * @returns {Promise<boolean>} True if the model was cached
+   */
+  async delete(url) {
+    if (!this.index[url]) return false;
+    delete this.index[url];
+    this._writeIndex();
+
+    try {
+      const cache = await caches.open(this.cacheName);
+      await cache.delete(this._requestUrl(url));
+    } catch (e) {
+      this.logger.warning('MODEL_CACHE', 'Failed to delete cached model', { url, error: e.message });
+    }
+    return true;
+  }
+
+  /**
+   * Revalidate cached models against the current catalog.
+   * Entries for models no longer in the catalog, with a different version,
+   * or whose ETag changed on the server are evicted (and re-downloaded on demand).
+   * @param {Array} models - Model configs from the catalog
+   * @returns {Promise<{ kept: number, evicted: number }>}
+   */
+  async revalidate(models) {
+    if (!this.enabled) return { kept: 0, evicted: 0 };
+    await this.ready;
+
+    const modelsByUrl = new Map((models || []).map(model => [model.url, model]));
+    let kept = 0;
+    let evicted = 0;
+
+    for (const [url, entry] of Object.entries(this.index)) {
+      const model = modelsByUrl.get(url);
+      let stale = !model || !this._matchesVersion(entry, model.version ?? null);
+
+      if (!stale && entry.etag) {
+        try {
+          const response = await fetch(url, { method: 'HEAD', cache: 'no-store' });
+          const etag = response.headers.get('ETag');
+          stale = response.ok && Boolean(etag) && etag !== entry.etag;
+        } catch (e) {
+          // Offline: keep the cached copy
+        }
+      }
+
+      if (stale) {
+        await this.delete(url);
+        evicted++;
+      } else {
+        kept++;
+      }
+    }
+
+    this.logger.info('MODEL_CACHE', 'Persistent model cache revalidated', { kept, evicted });
+    return { kept, evicted };
+  }
+
+  /**
+   * Remove every cached model of this namespace.
+   */
+  async clear() {
+    this.index = {};
+    this._writeIndex();
+    if (typeof caches !== 'undefined') {
+      await caches.delete(this.cacheName).catch(() => {});
+    }
+    this.logger.info('MODEL_CACHE', 'Persistent model cache cleared', { namespace: this.namespace });
+  }
+
+  /**
+   * Total size of cached models in bytes
+   */
+  getTotalBytes() {
+    return Object.values(this.index).reduce((sum, entry) => sum + (entry.size || 0), 0);
+  }
+
+  /**
+   * Get cache statistics, including the browser storage estimate if available.
+   */
+  async getStats() {
+    const estimate = navigator.storage?.estimate ? await navigator.storage.estimate().catch(() => null) : null;
+    return {
+      namespace: this.namespace,
+      enabled: this.enabled,
+      models: Object.keys(this.index).length,
+      bytes: this.getTotalBytes(),
+      budget: this.maxBytes,
+      usage: estimate?.usage ?? null,
+      quota: estimate?.quota ?? null
+    };
+  }
+}
@@ -0,0 +1,462 @@
+/**
+ * Model Downloader
+ * The download pipeline behind ModelLoader: fetch with progress, retries and
+ * Range resume, integrity verification, bundle unpacking, .gltf packing and
+ * inspection. Runs in the model worker (model-worker.js), or on the main
+ * thread where workers are unavailable; it only needs fetch, Blob and
+ * SubtleCrypto, and reports through the logger it is given.
+ */
+
+import { ModelIntegrityError, ModelLoadError, ModelErrorKind } from './model-errors.js';
+import { verifyDigests } from './integrity.js';
+import { readGltfJson } from './gltf-decoders.js';
+import { isGltfJson, getExternalResources, packGlb } from './gltf-packer.js';
+import { isBundle, unpackBundle } from './model-bundle.js';
+import { inspectModel } from './model-inspector.js';
+
+// Parallel downloads of a multi-file glTF's buffers and textures
+const RESOURCE_CONCURRENCY = 4;
+
+/**
+ * Format bytes to human readable format
+ */
+export function formatBytes(bytes) {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
+}
+
+export class ModelDownloader {
+  /**
+   * @param {Logger} logger - Logger (in the worker, one that forwards to the page)
+   */
+  constructor(logger) {
+    this.logger = logger;
+    
+    // Automatic retries for transient failures (resumed with Range when possible),
+    // with exponential backoff starting at retryDelay
+    this.maxRetries = 4;
+    this.retryDelay = 1000;
+    
+    // An attempt that receives no data for this long is aborted and retried
+    this.stallTimeout = 20000;
+    
+    // Fresh downloads after an integrity mismatch
+    this.integrityRetries = 1;
+  }
+
+  /**
+   * Download a model and verify its integrity, re-downloading once on mismatch.
+   * Zip bundles are unpacked and multi-file .gltf models packed into a GLB;
+   * the result is inspected for the performance budget.
+   * @param {string} url - Model URL (absolute when running in the worker)
+   * @param {object} options
+   * @param {AbortSignal} options.signal - Cancels the download
+   * @param {Function} options.onProgress - Progress callback (percent, received, total)
+   * @param {Array} options.expectedDigests - From getExpectedDigests(); empty skips verification
+   * @param {Function} options.onIntegrityRetry - Called with the ModelIntegrityError before re-downloading
+   * @returns {Promise<{ blob: Blob, etag: string|null, packed: boolean, manifest: object|null, stats: object|null }>}
+   * @throws {ModelLoadError} Classified failure (see ModelErrorKind)
+   */
+  async download(url, { signal = null, onProgress = null, expectedDigests = [], onIntegrityRetry = null } = {}) {
+    const startTime = Date.now();
+    
+    for (let attempt = 0; ; attempt++) {
+      this.logger.logFetchAttempt(url, { method: 'GET' });
+      
+      // Fetch model with progress tracking (pass abort signal);
+      // re-downloads bypass the HTTP cache, which may hold the corrupted copy
+      const response = await this.fetchWithProgress(url, onProgress, signal,
+        attempt > 0 ? { cache: 'reload' } : {});
+      
+      // Log response details
+      this.logger.logFetchResponse(url, response, startTime);
+      
+      if (!response.ok) {
+        this.logger.logNetworkRequest('GET', url, response.status, {
+          statusText: response.statusText,
+          contentType: response.headers.get('content-type'),
+          duration: Date.now() - startTime
+        });
+        throw ModelLoadError.fromResponse(url, response);
+      }
+      
+      const blob = await response.blob();
+      
+      // Verify the bytes before anything parses them
+      const integrityError = expectedDigests.length > 0
+        ? await this.verifyIntegrity(url, blob, expectedDigests)
+        : null;
+      if (!integrityError) {
+        const etag = response.headers.get('ETag');
+        
+        // Zip bundle: unpack the model and keep its manifest
+        if (await isBundle(blob)) {
+          const { model, manifest } = await unpackBundle(blob, url);
+          this.logger.success('MODEL_LOAD', 'Model bundle unpacked', {
+            url,
+            bundleSize: formatBytes(blob.size),
+            modelSize: formatBytes(model.size),
+            manifestFields: Object.keys(manifest)
+          });
+          return { blob: model, etag, packed: true, manifest, stats: await this.inspect(url, model) };
+        }
+        
+        const packedBlob = await this.packExternalResources(url, blob, signal, onProgress);
+        const modelBlob = packedBlob || blob;
+        return { blob: modelBlob, etag, packed: Boolean(packedBlob), manifest: null, stats: await this.inspect(url, modelBlob) };
+      }
+      if (attempt >= this.integrityRetries) throw integrityError;
+      
+      onIntegrityRetry?.(integrityError);
+    }
+  }
+
+  /**
+   * Download the external buffers and textures of a .gltf (relative to its
+   * original URL) and pack everything into one GLB; relative URIs would
+   * otherwise resolve against the blob: URL and fail.
+   * Resources share the model's abort signal, retries and progress reporting.
+   * @param {string} url - URL of the .gltf file
+   * @param {Blob} blob - The downloaded .gltf file
+   * @param {AbortSignal} signal - Abort signal of the model download
+   * @param {Function} onProgress - Progress callback; covers the .gltf and all resources
+   * @returns {Promise<Blob|null>} The packed GLB, or null if the model is self-contained
+   */
+  async packExternalResources(url, blob, signal, onProgress) {
+    if (!(await isGltfJson(blob))) return null;
+    
+    let gltf;
+    try {
+      gltf = await readGltfJson(blob);
+    } catch (error) {
+      throw new ModelLoadError(ModelErrorKind.CORRUPT, url, `Invalid glTF JSON: ${error.message}`, { cause: error });
+    }
+    const resources = getExternalResources(gltf, url);
+    if (resources.length === 0) return null;
+    
+    const startTime = Date.now();
+    const resourceUrls = [...new Set(resources.map(resource => resource.url))];
+    this.logger.info('MODEL_LOAD', 'Downloading glTF resources', { url, resources: resourceUrls.length });
+    
+    // Cumulative progress: the .gltf file plus every resource
+    const received = new Map();
+    const totals = new Map();
+    const report = () => {
+      let receivedBytes = blob.size;
+      received.forEach(bytes => { receivedBytes += bytes; });
+      const allKnown = resourceUrls.every(resourceUrl => totals.get(resourceUrl));
+      let totalBytes = blob.size;
+      totals.forEach(bytes => { totalBytes += bytes || 0; });
+      this.reportProgress(onProgress, receivedBytes, allKnown ? totalBytes : null);
+    };
+    
+    const files = new Map();
+    const fetchResource = async (resourceUrl) => {
+      this.logger.logFetchAttempt(resourceUrl, { method: 'GET' });
+      const response = await this.fetchWithProgress(resourceUrl, (progress, receivedBytes, total) => {
+        received.set(resourceUrl, receivedBytes);
+        totals.set(resourceUrl, total);
+        report();
+      }, signal);
+      if (!response.ok) throw ModelLoadError.fromResponse(resourceUrl, response);
+      files.set(resourceUrl, await response.blob());
+    };
+    
+    // A few downloads at a time
+    const queue = [...resourceUrls];
+    const worker = async () => {
+      while (queue.length > 0) await fetchResource(queue.shift());
+    };
+    await Promise.all(Array.from({ length: Math.min(RESOURCE_CONCURRENCY, queue.length) }, worker));
+    
+    let packed;
+    try {
+      packed = packGlb(gltf, new Map(resources.map(resource =>
+        [`${resource.kind}:${resource.index}`, files.get(resource.url)]
+      )));
+    } catch (error) {
+      throw new ModelLoadError(ModelErrorKind.CORRUPT, url, `Could not pack glTF resources: ${error.message}`, { cause: error });
+    }
+    
+    this.logger.success('MODEL_LOAD', 'Packed multi-file glTF into GLB', {
+      url,
+      resources: resourceUrls.length,
+      size: packed.size,
+      sizeFormatted: formatBytes(packed.size),
+      duration: `${Date.now() - startTime}ms`
+    });
+    return packed;
+  }
+
+  /**
+   * Verify model bytes against the expected digests.
+   * @returns {Promise<ModelIntegrityError|null>} The error on mismatch, null if the bytes are intact
+   */
+  async verifyIntegrity(url, blob, expectedDigests) {
+    if (!crypto?.subtle) {
+      this.logger.warning('MODEL_INTEGRITY', 'SubtleCrypto unavailable (insecure context), skipping integrity check', { url });
+      return null;
+    }
+    
+    const startTime = Date.now();
+    const { valid, expected, actual } = await verifyDigests(blob, expectedDigests);
+    
+    if (valid) {
+      this.logger.success('MODEL_INTEGRITY', 'Model integrity verified', {
+        url,
+        algorithm: expectedDigests[0].algorithm,
+        duration: `${Date.now() - startTime}ms`
+      });
+      return null;
+    }
+    
+    const error = new ModelIntegrityError(url, expected, actual);
+    this.logger.error('MODEL_INTEGRITY', 'Model integrity check failed - file corrupted or truncated', {
+      url,
+      expected,
+      actual,
+      size: blob.size
+    });
+    return error;
+  }
+
+  /**
+   * Fetch with progress tracking
+   * Transient failures (network errors, stalls, 5xx/408/429) are retried with
+   * exponential backoff; other HTTP errors are returned at once. When the server
+   * supports byte ranges (Accept-Ranges + a strong ETag or Last-Modified
+   * validator) a retry resumes with a Range/If-Range request from the bytes
+   * already received. Progress is reported cumulatively across retries.
+   * @param {string} url - URL to fetch
+   * @param {Function} onProgress - Progress callback
+   * @param {AbortSignal} signal - Abort signal for cancellation
+   * @param {RequestInit} init - Extra fetch options (e.g. { cache: 'reload' })
+   * @returns {Promise<Response>} The assembled response, or the last error response
+   * @throws {ModelLoadError} When the download is cancelled or retries are exhausted
+   */
+  async fetchWithProgress(url, onProgress, signal = null, init = {}) {
+    // Headers of the full response describe the assembled file
+    let fileHeaders = null;
+    let total = null;
+    let validator = null;
+    
+    const chunks = [];
+    let receivedLength = 0;
+    let attempt = 0;
+    
+    while (true) {
+      // Per-attempt abort: user cancellation or no data for stallTimeout
+      const attemptController = new AbortController();
+      let stalled = false;
+      let stallTimer = null;
+      const resetStallTimer = () => {
+        clearTimeout(stallTimer);
+        stallTimer = setTimeout(() => {
+          stalled = true;
+          attemptController.abort();
+        }, this.stallTimeout);
+      };
+      const onAbort = () => attemptController.abort();
+      signal?.addEventListener('abort', onAbort);
+      
+      try {
+        if (signal?.aborted) throw new DOMException('Download cancelled', 'AbortError');
+        
+        const canResume = Boolean(validator) && receivedLength > 0;
+        const headers = canResume
+          ? { 'Range': `bytes=${receivedLength}-`, 'If-Range': validator }
+          : {};
+        resetStallTimer();
+        const response = await fetch(url, { ...init, signal: attemptController.signal, headers });
+        
+        if (canResume && response.status === 416) {
+          // Range not satisfiable (file shrank): drop the partial data and start over
+          validator = null;
+          throw new ModelLoadError(ModelErrorKind.SERVER, url, 'Range not satisfiable, restarting download', { status: 416 });
+        }
+        if (!response.ok) {
+          const error = ModelLoadError.fromResponse(url, response);
+          // Permanent (4xx) or out of retries: let the caller report the status
+          if (!error.transient || attempt >= this.maxRetries) return response;
+          throw error;
+        }
+        
+        if (canResume && response.status === 206 && this.getRangeStart(response) === receivedLength) {
+          this.logger.info('NETWORK', 'Download resumed', { url, from: receivedLength, total });
+        } else if (response.status === 200) {
+          // First request, ranges unsupported, or the file changed on the server - start over
+          if (!response.body) {
+            // No streaming support - return response as-is
+            return response;
+          }
+          chunks.length = 0;
+          receivedLength = 0;
+          fileHeaders = response.headers;
+          total = this.getContentLength(response);
+          validator = this.getRangeValidator(response);
+          if (attempt > 0) this.reportProgress(onProgress, 0, total);
+        } else {
+          // Unexpected range (or status): the partial data can't be trusted,
+          // so the retry starts over with a full GET
+          validator = null;
+          chunks.length = 0;
+          receivedLength = 0;
+          throw new ModelLoadError(ModelErrorKind.SERVER, url,
+            `Failed to resume download: HTTP ${response.status} ${response.statusText}`, { status: response.status });
+        }
+        
+        // Read the response stream
+        const reader = response.body.getReader();
+        while (true) {
+          const { done, value } = await reader.read();
+          
+          if (done) break;
+          
+          resetStallTimer();
+          chunks.push(value);
+          receivedLength += value.length;
+          this.reportProgress(onProgress, receivedLength, total);
+        }
+        
+        if (total && receivedLength < total) {
+          throw new Error(`Connection closed early (${receivedLength} of ${total} bytes)`);
+        }
+        break;
+        
+      } catch (caught) {
+        const error = stalled && !signal?.aborted
+          ? new ModelLoadError(ModelErrorKind.TIMEOUT, url, `No data received for ${this.stallTimeout}ms`, { cause: caught })
+          : ModelLoadError.fromNetworkError(caught, url);
+        
+        // Cancelled, permanent, or out of retries: give up
+        if (error.kind === ModelErrorKind.ABORTED || !error.transient) throw error;
+        if (attempt >= this.maxRetries) throw error;
+        attempt++;
+        
+        this.logger.warning('NETWORK', `Download failed, retrying (attempt ${attempt}/${this.maxRetries})`, {
+          url,
+          kind: error.kind,
+          error: error.message,
+          received: receivedLength,
+          total,
+          resumable: Boolean(validator)
+        });
+        
+        try {
+          await this.waitForRetry(attempt, signal);
+        } catch (abortError) {
+          throw ModelLoadError.from(abortError, url);
+        }
+      } finally {
+        clearTimeout(stallTimer);
+        signal?.removeEventListener('abort', onAbort);
+      }
+    }
+    
+    if (attempt > 0) {
+      this.logger.success('NETWORK', 'Download completed after retries', { url, retries: attempt, size: receivedLength });
+    }
+    
+    // Create blob directly from chunks (efficient, no extra copy)
+    const blob = new Blob(chunks);
+    return new Response(blob, {
+      status: 200,
+      statusText: 'OK',
+      headers: fileHeaders
+    });
+  }
+
+  /**
+   * Report download progress: percentage when the total is known, -1 otherwise
+   */
+  reportProgress(onProgress, receivedLength, total) {
+    if (total) {
+      // Determinate: calculate progress percentage
+      const progress = Math.round((receivedLength / total) * 100);
+      onProgress?.(progress, receivedLength, total);
+    } else {
+      // Indeterminate: signal with -1, pass received bytes
+      onProgress?.(-1, receivedLength, null);
+    }
+  }
+
+  /**
+   * Get the body size of a full (200) response, or null when unknown.
+   * Compressed transfers report the encoded size, so they count as unknown.
+   */
+  getContentLength(response) {
+    const contentLength = response.headers.get('content-length');
+    if (!contentLength || response.headers.get('content-encoding')) return null;
+    return parseInt(contentLength, 10) || null;
+  }
+
+  /**
+   * Get the If-Range validator for resuming this response, or null if it
+   * cannot be resumed (no byte ranges, compressed, or only a weak ETag).
+   */
+  getRangeValidator(response) {
+    const headers = response.headers;
+    if (headers.get('accept-ranges') !== 'bytes' || headers.get('content-encoding')) return null;
+    
+    const etag = headers.get('etag');
+    if (etag && !etag.startsWith('W/')) return etag;
+    return headers.get('last-modified') || null;
+  }
+
+  /**
+   * Get the first byte offset of a 206 response (Content-Range: bytes start-end/size)
+   */
+  getRangeStart(response) {
+    const match = /^bytes (\d+)-/.exec(response.headers.get('content-range') || '');
+    return match ? parseInt(match[1], 10) : -1;
+  }
+
+  /**
+   * Wait before a retry: exponential backoff, and until the device is back online.
+   * Rejects if the download is cancelled meanwhile.
+   */
+  waitForRetry(attempt, signal) {
+    const delay = Math.min(this.retryDelay * Math.pow(2, attempt - 1), 8000);
+    
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      
+      const cleanup = () => {
+        clearTimeout(timer);
+        self.removeEventListener('online', done);
+        signal?.removeEventListener('abort', onAbort);
+      };
+      const done = () => {
+        cleanup();
+        resolve();
+      };
+      const onAbort = () => {
+        cleanup();
+        reject(new DOMException('Download cancelled', 'AbortError'));
+      };
+      
+      signal?.addEventListener('abort', onAbort);
+      timer = setTimeout(() => {
+        if (navigator.onLine) return done();
+        // Offline: wait for the connection (up to 30s) instead of burning retries
+        self.addEventListener('online', done);
+        timer = setTimeout(done, 30000);
+      }, delay);
+    });
+  }
+
+  /**
+   * Inspect a model for the performance budget (null if it cannot be read)
+   */
+  async inspect(url, blob) {
+    try {
+      return await inspectModel(blob);
+    } catch (error) {
+      this.logger.warning('MODEL_BUDGET', 'Could not inspect model', { url, error: error.message });
+      return null;
+    }
+  }
+}
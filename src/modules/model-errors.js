@@ -0,0 +1,182 @@
+/**
+ * Model Errors
+ * Error types raised while downloading and preparing models, so callers can
+ * tell failure causes apart instead of matching on messages.
+ */
+
+/**
+ * Failure classes of a model download (ModelLoadError.kind)
+ */
+export const ModelErrorKind = Object.freeze({
+  OFFLINE: 'offline',       // No connection, or the connection dropped
+  NOT_FOUND: 'not-found',   // 404/410 and other client errors
+  FORBIDDEN: 'forbidden',   // 401/403
+  TIMEOUT: 'timeout',       // 408/504, or no data received for too long
+  SERVER: 'server',         // 5xx, 429, or a malformed response
+  ABORTED: 'aborted',       // Cancelled by the user or the app
+  CORRUPT: 'corrupt',       // Bytes do not match the model's digest, or cannot be parsed
+  UNKNOWN: 'unknown'        // Anything else (e.g. a bug); not a network problem
+});
+
+// Kinds worth retrying automatically; the rest fail immediately
+const TRANSIENT_KINDS = new Set([ModelErrorKind.OFFLINE, ModelErrorKind.TIMEOUT, ModelErrorKind.SERVER]);
+
+/**
+ * A classified model download failure.
+ */
+export class ModelLoadError extends Error {
+  /**
+   * @param {string} kind - One of ModelErrorKind
+   * @param {string} url - Model URL
+   * @param {string} message - Technical description (for logs)
+   * @param {object} options
+   * @param {number} options.status - HTTP status, if the server answered
+   * @param {Error} options.cause - Underlying error
+   */
+  constructor(kind, url, message, { status = null, cause = null } = {}) {
+    super(message);
+    this.name = 'ModelLoadError';
+    this.kind = kind;
+    this.url = url;
+    this.status = status;
+    this.cause = cause;
+  }
+
+  /**
+   * True if retrying the same request may succeed
+   */
+  get transient() {
+    return TRANSIENT_KINDS.has(this.kind);
+  }
+
+  /**
+   * Classify an HTTP error status.
+   * @param {number} status - HTTP status (>= 400)
+   * @returns {string} ModelErrorKind
+   */
+  static kindForStatus(status) {
+    if (status === 401 || status === 403) return ModelErrorKind.FORBIDDEN;
+    if (status === 408 || status === 504) return ModelErrorKind.TIMEOUT;
+    if (status === 429 || status >= 500) return ModelErrorKind.SERVER;
+    return ModelErrorKind.NOT_FOUND;
+  }
+
+  /**
+   * Create the error for an unsuccessful HTTP response.
+   * @param {string} url - Model URL
+   * @param {Response} response - Response with a non-2xx status
+   */
+  static fromResponse(url, response) {
+    return new ModelLoadError(
+      ModelLoadError.kindForStatus(response.status),
+      url,
+      `Failed to load model: HTTP ${response.status} ${response.statusText}`,
+      { status: response.status }
+    );
+  }
+
+  /**
+   * Classify any error thrown while downloading and preparing a model.
+   * Network failures are classified where the request is made (fromNetworkError);
+   * here only cancellation and unreadable model data are recognized.
+   * @param {Error} error - Thrown error (AbortError, SyntaxError, ...)
+   * @param {string} url - Model URL
+   * @returns {ModelLoadError} The error itself if it is already classified
+   */
+  static from(error, url) {
+    if (error instanceof ModelLoadError) return error;
+    if (error?.name === 'AbortError') {
+      return new ModelLoadError(ModelErrorKind.ABORTED, url, 'Download cancelled', { cause: error });
+    }
+    if (error?.name === 'SyntaxError') {
+      return new ModelLoadError(ModelErrorKind.CORRUPT, url, `Invalid model data: ${error.message}`, { cause: error });
+    }
+    return new ModelLoadError(ModelErrorKind.UNKNOWN, url, error?.message || 'Unknown error', { cause: error });
+  }
+
+  /**
+   * Classify an error thrown by fetch() or while reading a response stream.
+   * fetch() rejects with a TypeError on network failures; a dropped
+   * connection surfaces as a stream read error.
+   * @param {Error} error - Thrown error
+   * @param {string} url - Requested URL
+   * @returns {ModelLoadError} The error itself if it is already classified
+   */
+  static fromNetworkError(error, url) {
+    if (error instanceof ModelLoadError || error?.name === 'AbortError') {
+      return ModelLoadError.from(error, url);
+    }
+    return new ModelLoadError(ModelErrorKind.OFFLINE, url, error?.message || 'Network error', { cause: error });
+  }
+}
+
+/**
+ * Downloaded bytes do not match the model's `sha256` / `integrity` field
+ * (truncated or corrupted response).
+ */
+export class ModelIntegrityError extends ModelLoadError {
+  /**
+   * @param {string} url - Model URL
+   * @param {string} expected - Expected digest as configured
+   * @param {string} actual - Digest of the downloaded bytes (same encoding as expected)
+   */
+  constructor(url, expected, actual) {
+    super(ModelErrorKind.CORRUPT, url, `Integrity check failed for ${url}: expected ${expected}, got ${actual}`);
+    this.name = 'ModelIntegrityError';
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+/**
+ * A model exceeds config.performance.maxModelSize. Raised before download when
+ * a HEAD request reveals the size, otherwise before the model is parsed.
+ */
+export class ModelBudgetError extends Error {
+  /**
+   * @param {string} url - Model URL
+   * @param {number} size - Model size in bytes
+   * @param {number} limit - Allowed size in bytes
+   */
+  constructor(url, size, limit) {
+    super(`Model ${url} is ${size} bytes, over the ${limit} byte limit`);
+    this.name = 'ModelBudgetError';
+    this.url = url;
+    this.size = size;
+    this.limit = limit;
+  }
+}
+
+/**
+ * Turn an error into a plain object that can cross postMessage (model worker).
+ * @param {Error} error
+ * @returns {object}
+ */
+export function serializeModelError(error) {
+  return {
+    name: error?.name || 'Error',
+    message: error?.message || String(error),
+    kind: error?.kind ?? null,
+    url: error?.url ?? null,
+    status: error?.status ?? null,
+    expected: error?.expected ?? null,
+    actual: error?.actual ?? null
+  };
+}
+
+/**
+ * Rebuild an error serialized with serializeModelError().
+ * @param {object} data
+ * @returns {Error} ModelIntegrityError, ModelLoadError or Error
+ */
+export function deserializeModelError(data) {
+  if (data.name === 'ModelIntegrityError') {
+    return new ModelIntegrityError(data.url, data.expected, data.actual);
+  }
+  if (data.kind) {
+    return new ModelLoadError(data.kind, data.url, data.message, { status: data.status });
+  }
+  const error = new Error(data.message);
+  error.name = data.name;
+  return error;
+}
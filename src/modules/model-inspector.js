@@ -0,0 +1,162 @@
+/**
+ * Model Inspector
+ * Reads a GLB/glTF's JSON chunk and embedded image headers, without parsing the
+ * model, to get the numbers the performance budget is checked against:
+ * file size, triangle and vertex counts, texture dimensions and extensions.
+ */
+
+import { readGltfJson, getGltfExtensions } from './gltf-decoders.js';
+
+// GLB container constants
+const GLB_MAGIC = 0x46546c67; // 'glTF'
+const GLB_HEADER_LENGTH = 12;
+const GLB_CHUNK_HEADER_LENGTH = 8;
+
+// Image headers are read from the first bytes only (JPEG SOF may follow EXIF data)
+const IMAGE_HEADER_BYTES = 64 * 1024;
+
+// Primitive modes (glTF spec)
+const MODE_TRIANGLES = 4;
+const MODE_TRIANGLE_STRIP = 5;
+const MODE_TRIANGLE_FAN = 6;
+
+const KTX2_IDENTIFIER = [0xab, 0x4b, 0x54, 0x58, 0x20, 0x32, 0x30, 0xbb, 0x0d, 0x0a, 0x1a, 0x0a];
+
+/**
+ * Read width/height from PNG, JPEG, WebP or KTX2 header bytes.
+ * @param {DataView} view - Start of the image file
+ * @returns {{ width: number, height: number }|null}
+ */
+export function readImageSize(view) {
+  const byte = (offset) => view.getUint8(offset);
+  const length = view.byteLength;
+  if (length < 30) return null;
+
+  // PNG: IHDR follows the 8-byte signature
+  if (view.getUint32(0) === 0x89504e47) {
+    return { width: view.getUint32(16), height: view.getUint32(20) };
+  }
+
+  // KTX2: pixelWidth / pixelHeight after the identifier and format fields
+  if (KTX2_IDENTIFIER.every((value, i) => byte(i) === value)) {
+    return { width: view.getUint32(20, true), height: Math.max(1, view.getUint32(24, true)) };
+  }
+
+  // JPEG: walk the markers to the first start-of-frame
+  if (view.getUint16(0) === 0xffd8) {
+    let offset = 2;
+    while (offset + 9 < length) {
+      if (byte(offset) !== 0xff) return null;
+      const marker = byte(offset + 1);
+      const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+      if (isStartOfFrame) {
+        return { width: view.getUint16(offset + 7), height: view.getUint16(offset + 5) };
+      }
+      offset += 2 + view.getUint16(offset + 2);
+    }
+    return null;
+  }
+
+  // WebP: RIFF container with a VP8, VP8L or VP8X first chunk
+  if (view.getUint32(0) === 0x52494646 && view.getUint32(8) === 0x57454250) {
+    const chunk = view.getUint32(12);
+    if (chunk === 0x56503820) { // 'VP8 '
+      return { width: view.getUint16(26, true) & 0x3fff, height: view.getUint16(28, true) & 0x3fff };
+    }
+    if (chunk === 0x5650384c) { // 'VP8L'
+      const bits = view.getUint32(21, true);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 0x56503858) { // 'VP8X'
+      const read24 = (offset) => byte(offset) | (byte(offset + 1) << 8) | (byte(offset + 2) << 16);
+      return { width: read24(24) + 1, height: read24(27) + 1 };
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the byte offset of the GLB binary chunk data, or null for .gltf JSON.
+ */
+async function getBinChunkOffset(blob) {
+  const header = new DataView(await blob.slice(0, GLB_HEADER_LENGTH + GLB_CHUNK_HEADER_LENGTH).arrayBuffer());
+  if (header.byteLength < GLB_HEADER_LENGTH + GLB_CHUNK_HEADER_LENGTH) return null;
+  if (header.getUint32(0, true) !== GLB_MAGIC) return null;
+  const jsonLength = header.getUint32(GLB_HEADER_LENGTH, true);
+  return GLB_HEADER_LENGTH + GLB_CHUNK_HEADER_LENGTH + jsonLength + GLB_CHUNK_HEADER_LENGTH;
+}
+
+/**
+ * Count triangles of a primitive from its index or position accessor.
+ */
+function countTriangles(gltf, primitive) {
+  const accessorIndex = primitive.indices ?? primitive.attributes?.POSITION;
+  const count = gltf.accessors?.[accessorIndex]?.count || 0;
+  const mode = primitive.mode ?? MODE_TRIANGLES;
+  if (mode === MODE_TRIANGLES) return Math.floor(count / 3);
+  if (mode === MODE_TRIANGLE_STRIP || mode === MODE_TRIANGLE_FAN) return Math.max(0, count - 2);
+  return 0;
+}
+
+/**
+ * Read the dimensions of the images embedded in the GLB binary chunk.
+ */
+async function inspectImages(gltf, blob, binOffset) {
+  return Promise.all((gltf.images || []).map(async (image) => {
+    const info = { mimeType: image.mimeType || null, width: null, height: null };
+    const bufferView = gltf.bufferViews?.[image.bufferView];
+    if (binOffset === null || !bufferView || (bufferView.buffer ?? 0) !== 0) return info;
+
+    const start = binOffset + (bufferView.byteOffset || 0);
+    const end = start + Math.min(bufferView.byteLength, IMAGE_HEADER_BYTES);
+    const size = readImageSize(new DataView(await blob.slice(start, end).arrayBuffer()));
+    return size ? { ...info, ...size } : info;
+  }));
+}
+
+/**
+ * Inspect a model file before it is parsed.
+ * Meshes count once per node that instantiates them.
+ * @param {Blob} blob - GLB or self-contained glTF
+ * @returns {Promise<{ fileSize: number, meshes: number, primitives: number, triangles: number,
+ *   vertices: number, textures: Array<{ mimeType: string|null, width: number|null, height: number|null }>,
+ *   maxTextureDimension: number, extensionsRequired: string[], extensionsUsed: string[] }>}
+ * @throws {Error} If the file is neither a GLB nor glTF JSON
+ */
+export async function inspectModel(blob) {
+  const gltf = await readGltfJson(blob);
+  const binOffset = await getBinChunkOffset(blob);
+
+  // How many times each mesh is placed in the scene graph
+  const instances = new Map();
+  (gltf.nodes || []).forEach(node => {
+    if (node.mesh !== undefined) instances.set(node.mesh, (instances.get(node.mesh) || 0) + 1);
+  });
+
+  let primitives = 0;
+  let triangles = 0;
+  let vertices = 0;
+  (gltf.meshes || []).forEach((mesh, index) => {
+    const copies = instances.get(index) || 1;
+    (mesh.primitives || []).forEach(primitive => {
+      primitives++;
+      triangles += countTriangles(gltf, primitive) * copies;
+      vertices += (gltf.accessors?.[primitive.attributes?.POSITION]?.count || 0) * copies;
+    });
+  });
+
+  const textures = await inspectImages(gltf, blob, binOffset);
+  const extensions = getGltfExtensions(gltf);
+
+  return {
+    fileSize: blob.size,
+    meshes: (gltf.meshes || []).length,
+    primitives,
+    triangles,
+    vertices,
+    textures,
+    maxTextureDimension: textures.reduce((max, texture) => Math.max(max, texture.width || 0, texture.height || 0), 0),
+    extensionsRequired: extensions.required,
+    extensionsUsed: extensions.used
+  };
+}
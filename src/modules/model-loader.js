@@ -1,20 +1,55 @@
 /**
  * Model Loader
  * Handles dynamic loading of GLB/glTF models from server
+ *
+ * Downloads are kept as blob URLs for the session and persisted across
+ * sessions in a ModelCache (Cache Storage, LRU within a byte budget).
+ * Multi-file .gltf models are packed into a single GLB (see gltf-packer.js);
+ * zip bundles are unpacked the same way and keep their manifest (model-bundle.js).
+ *
+ * Downloading, verification and inspection run in a Web Worker
+ * (ModelWorkerClient); ModelDownloader runs the same pipeline on the main
+ * thread when the worker is unavailable.
  */
 
 import { getLogger } from './logger.js';
+import { ModelCache } from './model-cache.js';
+import { ModelLoadError } from './model-errors.js';
+import { getExpectedDigests } from './integrity.js';
+import { ModelDownloader, formatBytes } from './model-downloader.js';
+import { ModelWorkerClient } from './model-worker-client.js';
 
 export class ModelLoader {
-  constructor(modelConfigs) {
+  /**
+   * @param {Array} modelConfigs - Model configs from the catalog
+   * @param {object} options
+   * @param {string} options.namespace - Catalog storage namespace; caches never cross namespaces
+   * @param {number} options.cacheBudget - Persistent model cache budget in bytes (0 disables it)
+   */
+  constructor(modelConfigs, { namespace = 'default', cacheBudget = 0 } = {}) {
     this.models = modelConfigs;
+    this.cacheBudget = cacheBudget;
     this.loadedModels = new Map();
+    // Bundle manifests of unpacked zip bundles: url -> manifest
+    this.bundleManifests = new Map();
+    // Download sizes from HEAD requests: url -> bytes (null if the server does not say)
+    this.remoteSizes = new Map();
+    // Budget stats of downloaded models: url -> inspectModel() result
+    this.modelStats = new Map();
+    this.persistentCache = new ModelCache({ namespace, maxBytes: cacheBudget });
     this.currentLoadingModel = null;
     this.loadingProgress = 0;
     this.logger = getLogger();
     
     // AbortController for cancellable fetch
     this.abortController = null;
+    
+    // Downloads in progress (foreground and prefetch): url -> shared download
+    this.inflight = new Map();
+    
+    // Main-thread pipeline, used when the worker is unavailable or fails
+    this.downloader = new ModelDownloader(this.logger);
+    this.worker = ModelWorkerClient.isSupported() ? new ModelWorkerClient() : null;
   }
 
   /**
@@ -32,8 +67,16 @@ export class ModelLoader {
 
   /**
    * Load a model from URL with progress tracking
+   * Models with a `sha256` / `integrity` field are verified before the object URL
+   * is created; a mismatch triggers a fresh download, then a ModelIntegrityError.
+   * A prefetch already running for the same URL is joined instead of restarted.
+   * @param {string} url - Model URL
+   * @param {Function} onProgress - Progress callback (percent, received, total)
+   * @param {object} options
+   * @param {Function} options.onIntegrityRetry - Called with the ModelIntegrityError before re-downloading
+   * @throws {ModelLoadError} Classified failure (see ModelErrorKind)
    */
-  async loadModel(url, onProgress) {
+  async loadModel(url, onProgress, { onIntegrityRetry = null } = {}) {
     const startTime = Date.now();
     
     // Check cache first
@@ -45,36 +88,51 @@ export class ModelLoader {
       return this.loadedModels.get(url);
     }
     
+    // Then the persistent cache (survives page reloads)
+    const cachedBlob = await this.readPersistentCache(url);
+    if (cachedBlob) {
+      const objectUrl = URL.createObjectURL(cachedBlob);
+      this.loadedModels.set(url, objectUrl);
+      this.logger.success('MODEL_CACHE', 'Model loaded from persistent cache', {
+        url,
+        size: cachedBlob.size,
+        sizeFormatted: this.formatBytes(cachedBlob.size),
+        loadTime: `${Date.now() - startTime}ms`
+      });
+      onProgress?.(100, cachedBlob.size, cachedBlob.size);
+      return objectUrl;
+    }
+    
     try {
       this.currentLoadingModel = url;
       
-      // Create new AbortController for this request
-      this.abortController = new AbortController();
-      
-      this.logger.logFetchAttempt(url, { method: 'GET' });
-      
-      // Fetch model with progress tracking (pass abort signal)
-      const response = await this.fetchWithProgress(url, onProgress, this.abortController.signal);
-      
-      // Log response details
-      this.logger.logFetchResponse(url, response, startTime);
-      
-      if (!response.ok) {
-        this.logger.logNetworkRequest('GET', url, response.status, {
-          statusText: response.statusText,
-          contentType: response.headers.get('content-type'),
-          duration: Date.now() - startTime
-        });
-        throw new Error(`Failed to load model: HTTP ${response.status} ${response.statusText}`);
+      let download = this.inflight.get(url);
+      if (download) {
+        this.logger.info('MODEL_LOAD', 'Joining in-progress prefetch', { url });
+        download.foreground = true;
+        download.onIntegrityRetry = onIntegrityRetry;
+      } else {
+        download = this.startDownload(url, { foreground: true, onIntegrityRetry });
       }
+      if (onProgress) download.listeners.add(onProgress);
+      
+      // Cancelling the foreground load cancels the shared download
+      this.abortController = download.controller;
       
-      // Get blob and create object URL
-      const blob = await response.blob();
+      const { blob, etag, packed, manifest } = await download.promise;
       const objectUrl = URL.createObjectURL(blob);
       
       // Cache the object URL
       this.loadedModels.set(url, objectUrl);
       
+      // Persist in the background; the model is usable before the write finishes
+      this.persistentCache.put(url, blob, {
+        etag,
+        version: this.getModelVersion(url),
+        packed,
+        manifest
+      });
+      
       const loadTime = Date.now() - startTime;
       this.logger.success('NETWORK', 'Model downloaded successfully', { 
         url,
@@ -83,13 +141,17 @@ export class ModelLoader {
         sizeFormatted: this.formatBytes(blob.size),
         type: blob.type,
         loadTime: `${loadTime}ms`,
-        cached: false
+        cached: false,
+        verified: getExpectedDigests(this.getModelConfigByUrl(url)).length > 0
       });
       return objectUrl;
       
-    } catch (error) {
+    } catch (caught) {
+      const error = ModelLoadError.from(caught, url);
       const loadTime = Date.now() - startTime;
       this.logger.error('NETWORK', `Failed to fetch model: ${url}`, { 
+        kind: error.kind,
+        status: error.status,
         error: error.message,
         stack: error.stack,
         url,
@@ -105,99 +167,149 @@ export class ModelLoader {
   }
 
   /**
-   * Format bytes to human readable format
+   * Read a model from the persistent cache, dropping it if it fails verification.
+   * @returns {Promise<Blob|null>}
    */
-  formatBytes(bytes) {
-    if (bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
+  async readPersistentCache(url) {
+    const blob = await this.persistentCache.get(url, this.getModelVersion(url));
+    if (!blob) return null;
+    
+    const manifest = this.persistentCache.getManifest(url);
+    if (manifest) this.bundleManifests.set(url, manifest);
+    
+    // Packed .gltf models and bundles no longer match the digest of the downloaded file
+    const expectedDigests = this.persistentCache.isPacked(url) ? [] : getExpectedDigests(this.getModelConfigByUrl(url));
+    if (expectedDigests.length > 0 && await this.verifyIntegrity(url, blob, expectedDigests)) {
+      await this.persistentCache.delete(url);
+      return null;
+    }
+    return blob;
   }
 
   /**
-   * Fetch with progress tracking
-   * @param {string} url - URL to fetch
-   * @param {Function} onProgress - Progress callback
-   * @param {AbortSignal} signal - Abort signal for cancellation
+   * Start a shared download. Foreground loads and prefetches of the same URL
+   * attach to the same entry instead of downloading twice.
+   * @param {string} url - Model URL
+   * @param {object} options
+   * @param {boolean} options.foreground - True for user-initiated loads
+   * @param {Function} options.onIntegrityRetry - See loadModel()
+   * @returns {{ promise: Promise<{ blob: Blob, etag: string|null, packed: boolean, manifest: object|null, stats: object|null }>,
+   *            controller: AbortController,
+   *            listeners: Set<Function>, foreground: boolean }}
    */
-  async fetchWithProgress(url, onProgress, signal = null) {
-    const response = await fetch(url, { signal });
-    
-    if (!response.ok) {
-      return response;
-    }
+  startDownload(url, { foreground = false, onIntegrityRetry = null } = {}) {
+    const download = {
+      controller: new AbortController(),
+      listeners: new Set(),
+      foreground,
+      onIntegrityRetry,
+      promise: null
+    };
     
-    // Get total size from headers
-    const contentLength = response.headers.get('content-length');
-    const total = contentLength ? parseInt(contentLength, 10) : null;
+    const options = {
+      signal: download.controller.signal,
+      expectedDigests: getExpectedDigests(this.getModelConfigByUrl(url)),
+      onProgress: (percent, received, total) => {
+        this.loadingProgress = percent;
+        download.listeners.forEach(listener => listener(percent, received, total));
+      },
+      onIntegrityRetry: (error) => download.onIntegrityRetry?.(error)
+    };
     
-    if (!response.body) {
-      // No streaming support - return response as-is
-      return response;
+    download.promise = this.runInWorker(
+      () => this.worker.download(this.resolveUrl(url), options),
+      () => this.downloader.download(url, options)
+    )
+      .then(result => {
+        if (result.manifest) this.bundleManifests.set(url, result.manifest);
+        if (result.stats) this.modelStats.set(url, result.stats);
+        return result;
+      })
+      .finally(() => this.inflight.delete(url));
+    this.inflight.set(url, download);
+    return download;
+  }
+
+  /**
+   * Run an operation in the worker, or on the main thread if the worker is
+   * unavailable or has crashed. Errors of the operation itself are rethrown.
+   * @param {Function} inWorker - Starts the operation in the worker
+   * @param {Function} onMainThread - Starts the same operation locally
+   */
+  async runInWorker(inWorker, onMainThread) {
+    if (!this.worker?.available) return onMainThread();
+    try {
+      return await inWorker();
+    } catch (error) {
+      if (!error.workerFailure) throw error;
+      this.logger.warning('MODEL_WORKER', 'Model worker failed, continuing on the main thread', { error: error.message });
+      return onMainThread();
     }
-    
-    // Read the response stream
-    const reader = response.body.getReader();
-    const chunks = [];
-    let receivedLength = 0;
-    
-    while (true) {
-      const { done, value } = await reader.read();
-      
-      if (done) break;
-      
-      chunks.push(value);
-      receivedLength += value.length;
-      
-      if (total) {
-        // Determinate: calculate progress percentage
-        const progress = Math.round((receivedLength / total) * 100);
-        this.loadingProgress = progress;
-        if (onProgress) {
-          onProgress(progress, receivedLength, total);
-        }
-      } else {
-        // Indeterminate: signal with -1, pass received bytes
-        this.loadingProgress = -1;
-        if (onProgress) {
-          onProgress(-1, receivedLength, null);
-        }
-      }
+  }
+
+  /**
+   * Resolve a model URL against the page; the worker resolves relative URLs
+   * against its own script instead.
+   */
+  resolveUrl(url) {
+    return new URL(url, document.baseURI).href;
+  }
+
+  /**
+   * Verify model bytes against the expected digests (in the worker when available).
+   * @returns {Promise<ModelIntegrityError|null>} The error on mismatch, null if the bytes are intact
+   */
+  verifyIntegrity(url, blob, expectedDigests) {
+    return this.runInWorker(
+      () => this.worker.verify(url, blob, expectedDigests),
+      () => this.downloader.verifyIntegrity(url, blob, expectedDigests)
+    );
+  }
+
+  /**
+   * Decode a GLB's embedded images and split its buffer views in the worker,
+   * ready for loadGltf().
+   * @param {Blob} blob - GLB file
+   * @returns {Promise<{ buffer: ArrayBuffer, images: Map<number, ImageBitmap>, bufferViews: Map<number, ArrayBuffer> }|null>}
+   *          null if the worker is unavailable or the model is not a GLB;
+   *          the model is then parsed entirely on the main thread
+   */
+  async decodeModel(blob) {
+    if (!this.worker?.available) return null;
+    try {
+      return await this.worker.decode(blob, { images: ModelWorkerClient.canDecodeImages() });
+    } catch (error) {
+      this.logger.warning('MODEL_WORKER', 'Off-thread decoding failed, parsing on the main thread', { error: error.message });
+      return null;
     }
-    
-    // Create blob directly from chunks (efficient, no extra copy)
-    const blob = new Blob(chunks);
-    return new Response(blob, {
-      status: response.status,
-      statusText: response.statusText,
-      headers: response.headers
-    });
   }
 
   /**
-   * Preload multiple models
+   * Download a model in the background straight into the persistent cache.
+   * Used by the PrefetchScheduler; nothing is kept in memory.
+   * @param {string} url - Model URL
+   * @returns {{ promise: Promise<boolean>, cancel: Function }} Resolves true if the model was cached
    */
-  async preloadModels(urls, onProgress) {
-    const totalModels = urls.length;
-    let loadedCount = 0;
-    
-    for (const url of urls) {
-      try {
-        await this.loadModel(url, (progress) => {
-          const overallProgress = ((loadedCount + (progress / 100)) / totalModels) * 100;
-          if (onProgress) {
-            onProgress(overallProgress);
-          }
-        });
-        
-        loadedCount++;
-      } catch (error) {
-        console.error(`Failed to preload model: ${url}`, error);
-      }
+  prefetchModel(url) {
+    const existing = this.inflight.get(url);
+    if (existing) {
+      return { promise: existing.promise.then(() => true, () => false), cancel: () => {} };
     }
     
-    return loadedCount === totalModels;
+    const download = this.startDownload(url);
+    const promise = download.promise.then(async ({ blob, etag, packed, manifest }) => {
+      // A foreground load that joined this download persists it itself
+      if (download.foreground) return true;
+      return this.persistentCache.put(url, blob, { etag, version: this.getModelVersion(url), packed, manifest });
+    });
+    
+    return {
+      promise,
+      cancel: () => {
+        // Never cancel a download a foreground load is waiting for
+        if (!download.foreground) download.controller.abort();
+      }
+    };
   }
 
   /**
@@ -207,6 +319,67 @@ export class ModelLoader {
     return this.models.find(m => m.id === modelId);
   }
 
+  /**
+   * Get the manifest of a model that was delivered as a zip bundle
+   * @param {string} url - Model URL
+   * @returns {object|null} Manifest fields (see model-bundle.js), null for plain models
+   */
+  getBundleManifest(url) {
+    return this.bundleManifests.get(url) || this.persistentCache.getManifest(url);
+  }
+
+  /**
+   * Get the budget stats of a model downloaded this session
+   * @param {string} url - Model URL
+   * @returns {object|null} inspectModel() result, null if unknown
+   */
+  getModelStats(url) {
+    return this.modelStats.get(url) || null;
+  }
+
+  /**
+   * Get model configuration by URL
+   */
+  getModelConfigByUrl(url) {
+    return this.models?.find(m => m.url === url) || null;
+  }
+
+  /**
+   * Get the catalog version of a model by URL (null if unversioned)
+   */
+  getModelVersion(url) {
+    return this.getModelConfigByUrl(url)?.version ?? null;
+  }
+
+  /**
+   * Remove a single model from the download cache and revoke its object URL
+   * @param {string} url - Original model URL
+   * @param {object} options
+   * @param {boolean} options.persistent - Also remove it from the persistent cache
+   * @returns {boolean} True if the model was cached in memory
+   */
+  evictModel(url, { persistent = false } = {}) {
+    if (persistent) {
+      this.persistentCache.delete(url);
+    }
+    this.bundleManifests.delete(url);
+    this.modelStats.delete(url);
+    const objectUrl = this.loadedModels.get(url);
+    if (!objectUrl) return false;
+    URL.revokeObjectURL(objectUrl);
+    this.loadedModels.delete(url);
+    return true;
+  }
+
+  /**
+   * Revalidate the persistent cache against the current catalog
+   * (removed models, changed versions, changed ETags).
+   * @param {Array} models - Model configs from the catalog
+   */
+  revalidateCache(models) {
+    return this.persistentCache.revalidate(models);
+  }
+
   /**
    * Clear model cache
    */
@@ -217,20 +390,55 @@ export class ModelLoader {
     }
     
     this.loadedModels.clear();
+    this.bundleManifests.clear();
+    this.modelStats.clear();
     console.log('Model cache cleared');
   }
 
   /**
-   * Get cache size
+   * Get persistent cache size
+   * @returns {{ models: number, bytes: number, budget: number }}
    */
   getCacheSize() {
-    return this.loadedModels.size;
+    return {
+      models: Object.keys(this.persistentCache.index).length,
+      bytes: this.persistentCache.getTotalBytes(),
+      budget: this.cacheBudget
+    };
+  }
+
+  /**
+   * Get a model's download size with a HEAD request, without downloading it.
+   * Results are remembered for the session.
+   * @param {string} url - Model URL
+   * @returns {Promise<number|null>} Size in bytes, or null if unknown (no
+   *          Content-Length, compressed transfer, HEAD not allowed, offline)
+   */
+  async probeModelSize(url) {
+    if (this.remoteSizes.has(url)) return this.remoteSizes.get(url);
+    
+    let size = null;
+    try {
+      const response = await fetch(url, { method: 'HEAD' });
+      if (response.ok) size = this.downloader.getContentLength(response);
+    } catch (error) {
+      this.logger.info('NETWORK', 'HEAD request failed, model size unknown', { url, error: error.message });
+    }
+    this.remoteSizes.set(url, size);
+    return size;
   }
 
   /**
-   * Check if model is cached
+   * Check if model is available without a download (persistent cache or this session)
    */
   isModelCached(url) {
-    return this.loadedModels.has(url);
+    return this.loadedModels.has(url) || this.persistentCache.has(url, this.getModelVersion(url));
+  }
+
+  /**
+   * Format bytes to human readable format
+   */
+  formatBytes(bytes) {
+    return formatBytes(bytes);
   }
 }
@@ -0,0 +1,108 @@
+/**
+ * Model Memory
+ * Estimates how much GPU memory a parsed model holds and releases it again.
+ * Estimates count vertex/index buffers and texture uploads (RGBA8 plus mip
+ * chain); resources shared between meshes are counted once.
+ */
+
+// Uncompressed textures are uploaded as RGBA8
+export const BYTES_PER_TEXEL = 4;
+// A full mip chain adds a third on top of the base level
+export const MIPMAP_FACTOR = 4 / 3;
+
+/**
+ * Estimate the GPU bytes of an uncompressed texture upload.
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {boolean} mipmaps - Whether a mip chain is generated
+ * @returns {number} Bytes
+ */
+export function estimateImageBytes(width, height, mipmaps = true) {
+  const bytes = width * height * BYTES_PER_TEXEL;
+  return Math.round(mipmaps ? bytes * MIPMAP_FACTOR : bytes);
+}
+
+/**
+ * Collect the textures a material references.
+ */
+function getMaterialTextures(material) {
+  return Object.values(material).filter(value => value && value.isTexture);
+}
+
+function getMaterials(object) {
+  if (!object.material) return [];
+  return Array.isArray(object.material) ? object.material : [object.material];
+}
+
+/**
+ * Estimate the GPU bytes of one texture.
+ */
+function estimateTextureBytes(texture) {
+  // Compressed (KTX2/Basis) and data textures carry their payload directly
+  if (texture.isCompressedTexture && Array.isArray(texture.mipmaps)) {
+    return texture.mipmaps.reduce((sum, mip) => sum + (mip?.data?.byteLength || 0), 0);
+  }
+  if (texture.image?.data?.byteLength) {
+    return texture.image.data.byteLength;
+  }
+
+  const width = texture.image?.width || 0;
+  const height = texture.image?.height || 0;
+  return estimateImageBytes(width, height, texture.generateMipmaps);
+}
+
+/**
+ * Estimate the GPU bytes of one geometry (attributes and index).
+ */
+function estimateGeometryBytes(geometry) {
+  let bytes = geometry.index?.array?.byteLength || 0;
+  for (const attribute of Object.values(geometry.attributes || {})) {
+    bytes += attribute.array?.byteLength || 0;
+  }
+  for (const targets of Object.values(geometry.morphAttributes || {})) {
+    for (const attribute of targets) bytes += attribute.array?.byteLength || 0;
+  }
+  return bytes;
+}
+
+/**
+ * Estimate the GPU memory a Three.js object tree holds.
+ * @param {THREE.Object3D} object - Root object (e.g. an entity's 'mesh')
+ * @returns {{ bytes: number, geometryBytes: number, textureBytes: number }}
+ */
+export function estimateObject3DBytes(object) {
+  const geometries = new Set();
+  const textures = new Set();
+
+  object?.traverse((child) => {
+    if (child.geometry) geometries.add(child.geometry);
+    getMaterials(child).forEach(material => {
+      getMaterialTextures(material).forEach(texture => textures.add(texture));
+    });
+  });
+
+  let geometryBytes = 0;
+  geometries.forEach(geometry => { geometryBytes += estimateGeometryBytes(geometry); });
+  let textureBytes = 0;
+  textures.forEach(texture => { textureBytes += estimateTextureBytes(texture); });
+
+  return { bytes: geometryBytes + textureBytes, geometryBytes, textureBytes };
+}
+
+/**
+ * Release GPU resources of a Three.js object tree (geometries, materials, textures).
+ * @param {THREE.Object3D} object - Root object to dispose
+ */
+export function disposeObject3D(object) {
+  object?.traverse((child) => {
+    child.geometry?.dispose();
+    getMaterials(child).forEach(material => {
+      getMaterialTextures(material).forEach(texture => {
+        texture.dispose();
+        // ImageBitmaps hold decoded pixels until closed
+        texture.source?.data?.close?.();
+      });
+      material.dispose();
+    });
+  });
+}
@@ -0,0 +1,209 @@
+/**
+ * Model Worker Client
+ * Main-thread side of the model worker (workers/model-worker.js). Sends
+ * download, verify and decode requests and turns the replies back into
+ * promises, progress callbacks and ModelLoadErrors.
+ *
+ * Messages to the worker:   { type: 'download'|'verify'|'decode'|'abort', id, ... }
+ * Messages from the worker: { type: 'progress'|'integrity-retry'|'done'|'error', id, ... }
+ *                           { type: 'log', level, eventName, message, data }
+ */
+
+import { getLogger } from './logger.js';
+import { deserializeModelError } from './model-errors.js';
+
+export class ModelWorkerClient {
+  /**
+   * Check whether module workers can be used
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined' && typeof URL !== 'undefined';
+  }
+
+  /**
+   * Check whether decoded ImageBitmaps can be handed to the glTF loader.
+   * Mirrors GLTFLoader, which falls back to <img> on Safari < 17 and Firefox < 98
+   * because their createImageBitmap ignores the options the loader relies on.
+   */
+  static canDecodeImages() {
+    if (typeof createImageBitmap === 'undefined') return false;
+
+    const userAgent = navigator.userAgent;
+    const isSafari = /^((?!chrome|android).)*safari/i.test(userAgent);
+    const safariVersion = isSafari ? Number(userAgent.match(/Version\/(\d+)/)?.[1]) : -1;
+    const isFirefox = userAgent.includes('Firefox');
+    const firefoxVersion = isFirefox ? Number(userAgent.match(/Firefox\/([0-9]+)\./)?.[1]) : -1;
+
+    return !((isSafari && safariVersion < 17) || (isFirefox && firefoxVersion < 98));
+  }
+
+  constructor() {
+    this.logger = getLogger();
+    this.requests = new Map();
+    this.nextId = 1;
+    this.failed = false;
+
+    try {
+      this.worker = new Worker(new URL('../workers/model-worker.js', import.meta.url), { type: 'module' });
+      this.worker.addEventListener('message', (event) => this.handleMessage(event.data));
+      this.worker.addEventListener('error', (event) => this.handleWorkerError(event));
+    } catch (error) {
+      this.worker = null;
+      this.failed = true;
+      this.logger.warning('MODEL_WORKER', 'Model worker could not be started', { error: error.message });
+    }
+  }
+
+  /**
+   * False once the worker failed to start or crashed
+   */
+  get available() {
+    return !this.failed;
+  }
+
+  /**
+   * Download a model in the worker (see ModelDownloader.download)
+   * @param {string} url - Absolute model URL
+   * @param {object} options - signal, onProgress, expectedDigests, onIntegrityRetry
+   * @returns {Promise<{ blob: Blob, etag: string|null, packed: boolean, manifest: object|null, stats: object|null }>}
+   */
+  download(url, { signal = null, onProgress = null, expectedDigests = [], onIntegrityRetry = null } = {}) {
+    return this.request({ type: 'download', url, expectedDigests }, { signal, onProgress, onIntegrityRetry });
+  }
+
+  /**
+   * Verify model bytes in the worker (see ModelDownloader.verifyIntegrity)
+   * @returns {Promise<ModelIntegrityError|null>}
+   */
+  async verify(url, blob, expectedDigests) {
+    const error = await this.request({ type: 'verify', url, blob, expectedDigests });
+    return error ? deserializeModelError(error) : null;
+  }
+
+  /**
+   * Read a GLB in the worker: decode its embedded images and split its binary
+   * chunk into buffer views
+   * @param {Blob} blob - GLB file
+   * @param {object} options
+   * @param {boolean} options.images - Decode images (see canDecodeImages)
+   * @returns {Promise<{ buffer: ArrayBuffer, images: Map<number, ImageBitmap>, bufferViews: Map<number, ArrayBuffer> }|null>}
+   *          null if not a GLB
+   */
+  async decode(blob, { images = true } = {}) {
+    const result = await this.request({ type: 'decode', blob, decodeImages: images });
+    return result && {
+      buffer: result.buffer,
+      images: new Map(result.images),
+      bufferViews: new Map(result.bufferViews)
+    };
+  }
+
+  /**
+   * Stop the worker; pending requests fall back to the main thread
+   */
+  terminate() {
+    this.worker?.terminate();
+    this.fail(new Error('Model worker terminated'));
+  }
+
+  /**
+   * Send a request and wait for its 'done' or 'error' reply
+   */
+  request(message, { signal = null, onProgress = null, onIntegrityRetry = null } = {}) {
+    if (this.failed) return Promise.reject(this.createFailure(new Error('Model worker unavailable')));
+
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      const onAbort = () => this.worker.postMessage({ type: 'abort', id });
+      const cleanup = () => signal?.removeEventListener('abort', onAbort);
+
+      this.requests.set(id, {
+        onProgress,
+        onIntegrityRetry,
+        resolve: (value) => {
+          cleanup();
+          resolve(value);
+        },
+        reject: (error) => {
+          cleanup();
+          reject(error);
+        }
+      });
+
+      try {
+        this.worker.postMessage({ ...message, id });
+      } catch (error) {
+        // e.g. DataCloneError; nothing reached the worker
+        this.requests.delete(id);
+        cleanup();
+        reject(this.createFailure(error));
+        return;
+      }
+
+      if (signal?.aborted) {
+        onAbort();
+      } else {
+        signal?.addEventListener('abort', onAbort);
+      }
+    });
+  }
+
+  handleMessage(message) {
+    if (message.type === 'log') {
+      this.logger.addLog(message.level, message.eventName, message.message, message.data);
+      return;
+    }
+
+    const request = this.requests.get(message.id);
+    if (!request) return;
+
+    switch (message.type) {
+      case 'progress':
+        request.onProgress?.(...message.args);
+        break;
+      case 'integrity-retry':
+        request.onIntegrityRetry?.(deserializeModelError(message.error));
+        break;
+      case 'done':
+        this.requests.delete(message.id);
+        request.resolve(message.result);
+        break;
+      case 'error':
+        this.requests.delete(message.id);
+        request.reject(deserializeModelError(message.error));
+        break;
+    }
+  }
+
+  /**
+   * Script load failures and uncaught worker exceptions disable the worker
+   */
+  handleWorkerError(event) {
+    event.preventDefault?.();
+    this.logger.error('MODEL_WORKER', 'Model worker crashed', {
+      error: event.message || 'Worker script failed to load',
+      file: event.filename,
+      line: event.lineno
+    });
+    this.fail(new Error(event.message || 'Model worker crashed'));
+  }
+
+  /**
+   * Mark the worker as failed and reject pending requests so callers fall back
+   */
+  fail(cause) {
+    this.failed = true;
+    const pending = [...this.requests.values()];
+    this.requests.clear();
+    pending.forEach(request => request.reject(this.createFailure(cause)));
+  }
+
+  /**
+   * Errors caused by the worker itself (not by the model) carry workerFailure
+   */
+  createFailure(cause) {
+    const error = new Error(cause.message);
+    error.workerFailure = true;
+    return error;
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * Placement Store
+ * Persists the last placement (persistent anchor handle, model, user scale,
+ * rotation and layer state) in localStorage so the next AR session in the
+ * same space can restore it without a new tap.
+ *
+ * Poses are stored in anchor space: relative to the anchor, which is all that
+ * survives between sessions. Entries are namespaced per catalog like the
+ * stored config, since model ids are only unique within a catalog.
+ */
+
+// localStorage key prefix for the saved placement
+const STORE_KEY = 'webar:last-placement';
+
+function storeKey(namespace) {
+  return `${STORE_KEY}:${namespace}`;
+}
+
+/**
+ * Read the saved placement.
+ * @param {string} namespace - Catalog storage namespace
+ * @returns {object|null} Placement saved with saveStoredPlacement()
+ */
+export function loadStoredPlacement(namespace) {
+  try {
+    const raw = window.localStorage?.getItem(storeKey(namespace));
+    if (!raw) return null;
+    const entry = JSON.parse(raw);
+    if (typeof entry?.handle !== 'string' || typeof entry.modelId !== 'string' ||
+        !entry.position || !entry.quaternion || !entry.hit) {
+      return null;
+    }
+    return {
+      ...entry,
+      userScale: Number(entry.userScale) || 1,
+      hiddenLayers: Array.isArray(entry.hiddenLayers) ? entry.hiddenLayers : []
+    };
+  } catch (e) {
+    console.warn('[PLACEMENT] Ignoring unreadable saved placement:', e.message);
+    return null;
+  }
+}
+
+/**
+ * Save a placement, replacing the previous one.
+ * @param {string} namespace - Catalog storage namespace
+ * @param {object} placement
+ * @param {string} placement.handle - Persistent anchor handle
+ * @param {string} placement.modelId - Placed model
+ * @param {{x: number, y: number, z: number}} placement.position - Model position (anchor space)
+ * @param {{x: number, y: number, z: number, w: number}} placement.quaternion - Model rotation (anchor space)
+ * @param {number} placement.userScale - Pinch scale relative to the normalized scale
+ * @param {string[]} placement.hiddenLayers - Layer nodes the user switched off
+ * @param {object} placement.hit - Placement hit (anchor space), for switching models in place
+ * @param {string} placement.placedSurface - 'horizontal' | 'vertical'
+ * @param {string} placement.surfaceNormal - "x y z" (anchor space)
+ * @param {string} placement.spinAxis - "x y z" (anchor space)
+ * @returns {boolean} True if the entry was written
+ */
+export function saveStoredPlacement(namespace, placement) {
+  try {
+    window.localStorage?.setItem(storeKey(namespace), JSON.stringify({ ...placement, savedAt: Date.now() }));
+    return true;
+  } catch (e) {
+    // Quota exceeded or storage disabled (private mode) - not fatal
+    console.warn('[PLACEMENT] Failed to save placement:', e.message);
+    return false;
+  }
+}
+
+/**
+ * Forget the saved placement.
+ * @param {string} namespace - Catalog storage namespace
+ */
+export function clearStoredPlacement(namespace) {
+  try {
+    window.localStorage?.removeItem(storeKey(namespace));
+  } catch (_) {
+    // ignore
+  }
+}
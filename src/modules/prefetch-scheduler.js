@@ -0,0 +1,218 @@
+/**
+ * Prefetch Scheduler
+ * Downloads catalog models in the background into the persistent model
+ * cache, so most gallery switches do not wait for the network.
+ *
+ * Priorities: the active model first, then models visible in the open
+ * gallery, then the rest in catalog order. Runs a few downloads at a time,
+ * pauses while a foreground load runs, and stays off with data saver on.
+ */
+
+import { getLogger } from './logger.js';
+import { ModelErrorKind } from './model-errors.js';
+
+// Priority classes (lower runs first)
+const PRIORITY_ACTIVE = 0;
+const PRIORITY_VISIBLE = 1;
+const PRIORITY_REST = 2;
+
+// Stop prefetching once the persistent cache is this full, so prefetches never
+// evict models the user actually opened
+const CACHE_FILL_LIMIT = 0.9;
+
+export class PrefetchScheduler {
+  /**
+   * @param {ModelLoader} modelLoader - Loader that owns the download and persistent caches
+   * @param {object} options - config.performance.prefetch
+   * @param {boolean} options.enabled - Master switch
+   * @param {number} options.concurrency - Parallel downloads
+   * @param {boolean} options.respectDataSaver - Stay off when the browser asks to save data
+   */
+  constructor(modelLoader, { enabled = true, concurrency = 2, respectDataSaver = true } = {}) {
+    this.modelLoader = modelLoader;
+    this.enabled = enabled;
+    this.concurrency = Math.max(1, concurrency);
+    this.respectDataSaver = respectDataSaver;
+    this.logger = getLogger();
+
+    this.models = [];
+    this.activeModelId = null;
+    this.visibleModelIds = new Set();
+
+    // url -> { cancel } for running prefetches
+    this.running = new Map();
+    // URLs that failed this session (not retried until the catalog changes)
+    this.failed = new Set();
+    this.isPaused = false;
+
+    // Called with the model config after a model was prefetched
+    this.onPrefetched = null;
+    // Called with a model config; return true to never prefetch it (e.g. over the size limit)
+    this.isModelRefused = null;
+
+    // Bind methods
+    this.pump = this.pump.bind(this);
+    navigator.connection?.addEventListener?.('change', this.pump);
+  }
+
+  /**
+   * Replace the catalog models to prefetch
+   */
+  setModels(models) {
+    this.models = models || [];
+    this.failed.clear();
+    this.prune();
+  }
+
+  /**
+   * Cancel prefetches of models that left the catalog or are now refused
+   * (a size probe finished after the download started)
+   */
+  prune() {
+    const urls = new Set(
+      this.models.filter(model => !this.isModelRefused?.(model)).map(model => model.url)
+    );
+    for (const [url, task] of this.running) {
+      if (!urls.has(url)) task.cancel();
+    }
+    this.pump();
+  }
+
+  /**
+   * Set the model that is shown (or about to be shown) in AR
+   */
+  setActiveModel(modelId) {
+    this.activeModelId = modelId;
+    this.pump();
+  }
+
+  /**
+   * Set the models whose gallery cards are currently on screen
+   * @param {Iterable<string>} modelIds
+   */
+  setVisibleModels(modelIds) {
+    this.visibleModelIds = new Set(modelIds);
+    this.pump();
+  }
+
+  /**
+   * Pause for a foreground load: running prefetches are cancelled, except the
+   * one for the model being loaded (the foreground load joins it).
+   * @param {string} keepUrl - URL of the model the user picked
+   */
+  pause(keepUrl = null) {
+    this.isPaused = true;
+    for (const [url, task] of this.running) {
+      if (url !== keepUrl) {
+        this.logger.info('PREFETCH', 'Prefetch cancelled for foreground load', { url });
+        task.cancel();
+      }
+    }
+  }
+
+  /**
+   * Resume after the foreground load finished
+   */
+  resume() {
+    this.isPaused = false;
+    this.pump();
+  }
+
+  /**
+   * Stop prefetching for good (catalog switch, teardown)
+   */
+  stop() {
+    this.enabled = false;
+    this.running.forEach(task => task.cancel());
+    navigator.connection?.removeEventListener?.('change', this.pump);
+  }
+
+  /**
+   * Check whether the browser asked to save data (Save-Data / slow connection)
+   */
+  isDataSaverOn() {
+    const connection = navigator.connection;
+    if (!connection) return false;
+    return Boolean(connection.saveData) || ['slow-2g', '2g'].includes(connection.effectiveType);
+  }
+
+  /**
+   * Check whether the persistent cache still has room for prefetched models
+   */
+  hasCacheRoom() {
+    const { bytes, budget } = this.modelLoader.getCacheSize();
+    return budget > 0 && bytes < budget * CACHE_FILL_LIMIT;
+  }
+
+  /**
+   * Models still to prefetch, highest priority first
+   */
+  getQueue() {
+    const priorityOf = (model) => {
+      if (model.id === this.activeModelId) return PRIORITY_ACTIVE;
+      if (this.visibleModelIds.has(model.id)) return PRIORITY_VISIBLE;
+      return PRIORITY_REST;
+    };
+
+    return this.models
+      .map((model, index) => ({ model, index, priority: priorityOf(model) }))
+      .filter(({ model }) =>
+        !this.running.has(model.url) &&
+        !this.failed.has(model.url) &&
+        !this.isModelRefused?.(model) &&
+        !this.modelLoader.isModelCached(model.url)
+      )
+      .sort((a, b) => a.priority - b.priority || a.index - b.index)
+      .map(({ model }) => model);
+  }
+
+  /**
+   * Start prefetches up to the concurrency limit
+   */
+  pump() {
+    if (!this.enabled || this.isPaused) return;
+    if (!this.modelLoader.persistentCache.enabled) return;
+    if (this.respectDataSaver && this.isDataSaverOn()) return;
+    if (!this.hasCacheRoom()) return;
+
+    const queue = this.getQueue();
+    while (this.running.size < this.concurrency && queue.length > 0) {
+      this.start(queue.shift());
+    }
+  }
+
+  /**
+   * Prefetch a single model
+   */
+  start(model) {
+    const url = model.url;
+    const startTime = Date.now();
+    const task = this.modelLoader.prefetchModel(url);
+    this.running.set(url, task);
+
+    this.logger.info('PREFETCH', 'Prefetching model', { modelId: model.id, url });
+
+    task.promise
+      .then(cached => {
+        if (!cached) {
+          // Not persisted (quota, budget): don't download it again this session
+          this.failed.add(url);
+          return;
+        }
+        this.logger.success('PREFETCH', 'Model prefetched', {
+          modelId: model.id,
+          duration: `${Date.now() - startTime}ms`
+        });
+        this.onPrefetched?.(model);
+      })
+      .catch(error => {
+        if (error?.kind === ModelErrorKind.ABORTED) return;
+        this.failed.add(url);
+        this.logger.warning('PREFETCH', 'Prefetch failed', { modelId: model.id, error: error.message });
+      })
+      .finally(() => {
+        this.running.delete(url);
+        this.pump();
+      });
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * Texture Downscaler
+ * Shrinks oversized textures of a parsed model so that large client textures
+ * (4K/8K) don't exhaust GPU memory on phones. Runs after parsing, before the
+ * model is first rendered. Compressed (KTX2) and data textures are left alone.
+ */
+
+import { estimateImageBytes } from './model-memory.js';
+
+/**
+ * Resolve the texture size limit for this device.
+ * The configured maximum is lowered to what the GPU supports and, where the
+ * browser reports it, to what low-memory devices handle.
+ * @param {number} configured - config.performance.maxTextureSize (0 = no limit)
+ * @param {THREE.WebGLRenderer} renderer - Scene renderer (for the GPU limit)
+ * @returns {number} Longest allowed texture side in pixels (Infinity = no limit)
+ */
+export function getTextureSizeLimit(configured, renderer) {
+  let limit = configured > 0 ? configured : Infinity;
+
+  const gpuLimit = renderer?.capabilities?.maxTextureSize;
+  if (gpuLimit) limit = Math.min(limit, gpuLimit);
+
+  // navigator.deviceMemory is rounded GB (Chromium only)
+  const memory = navigator.deviceMemory;
+  if (memory && memory <= 2) {
+    limit = Math.min(limit, 1024);
+  } else if (memory && memory <= 4) {
+    limit = Math.min(limit, 2048);
+  }
+  return limit;
+}
+
+/**
+ * Draw an image into a smaller canvas; OffscreenCanvas results are turned into
+ * an ImageBitmap so no canvas stays alive.
+ */
+function resizeImage(image, width, height) {
+  const canvas = typeof OffscreenCanvas !== 'undefined'
+    ? new OffscreenCanvas(width, height)
+    : Object.assign(document.createElement('canvas'), { width, height });
+
+  const context = canvas.getContext('2d');
+  context.imageSmoothingEnabled = true;
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(image, 0, 0, width, height);
+
+  return canvas.transferToImageBitmap ? canvas.transferToImageBitmap() : canvas;
+}
+
+/**
+ * Downscale every texture of an object tree whose longest side exceeds maxSize.
+ * Aspect ratio is kept; textures shared between materials are resized once.
+ * @param {THREE.Object3D} object - Parsed model (e.g. gltf.scene)
+ * @param {number} maxSize - Longest allowed side in pixels
+ * @returns {{ resized: number, bytesBefore: number, bytesAfter: number }}
+ */
+export function downscaleTextures(object, maxSize) {
+  const result = { resized: 0, bytesBefore: 0, bytesAfter: 0 };
+  if (!object || !Number.isFinite(maxSize)) return result;
+
+  // Several textures (e.g. with different UV transforms) may share one source
+  const handled = new Set();
+
+  object.traverse((child) => {
+    const materials = Array.isArray(child.material) ? child.material : [child.material];
+    materials.forEach(material => {
+      if (!material) return;
+      Object.values(material).forEach(texture => {
+        if (!texture?.isTexture || texture.isCompressedTexture || texture.isDataTexture) return;
+
+        const source = texture.source || texture;
+        if (handled.has(source)) return;
+        handled.add(source);
+
+        const image = texture.image;
+        const width = image?.width || 0;
+        const height = image?.height || 0;
+        if (Math.max(width, height) <= maxSize) return;
+
+        const scale = maxSize / Math.max(width, height);
+        const newWidth = Math.max(1, Math.round(width * scale));
+        const newHeight = Math.max(1, Math.round(height * scale));
+
+        texture.image = resizeImage(image, newWidth, newHeight);
+        texture.needsUpdate = true;
+        // The full-size decoded bitmap is no longer referenced
+        image.close?.();
+
+        result.resized++;
+        result.bytesBefore += estimateImageBytes(width, height);
+        result.bytesAfter += estimateImageBytes(newWidth, newHeight);
+      });
+    });
+  });
+  return result;
+}
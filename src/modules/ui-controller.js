@@ -3,6 +3,15 @@
  * Manages all UI elements and user feedback
  */
 
+import { getConfig } from '../config/config.js';
+
+// What to point the camera at, per config.ar.hitTest.type
+const SCAN_TARGETS = {
+  horizontal: 'the floor',
+  vertical: 'a wall',
+  any: 'the floor or a wall'
+};
+
 export class UIController {
   constructor() {
     this.loadingScreen = document.getElementById('loading-screen');
@@ -17,6 +26,7 @@ export class UIController {
     this.loadingState = document.getElementById('loading-state');
     this.toastContainer = document.getElementById('toast-container');
     this.surfaceStatus = document.getElementById('surface-status');
+    this.catalogStatus = document.getElementById('catalog-status');
     
     this.instructionTimeout = null;
     this.currentInstructionState = null; // Track current instruction state
@@ -134,8 +144,17 @@ export class UIController {
     this.uiOverlay.classList.remove('hidden');
     
     // Show initial instructions (persistent until reticle appears)
-    this.showInstructions('Point your device at the floor and move it around slowly', {
-      duration: 0, // Persistent until surface detected
+    this.showScanningInstructions();
+  }
+
+  /**
+   * Ask the user to scan for the surface type models are placed on
+   * (persistent until a surface is detected)
+   */
+  showScanningInstructions() {
+    const target = SCAN_TARGETS[getConfig().ar?.hitTest?.type] || SCAN_TARGETS.horizontal;
+    this.showInstructions(`Point your device at ${target} and move it around slowly`, {
+      duration: 0,
       icon: 'scan',
       state: 'scanning'
     });
@@ -277,9 +296,10 @@ export class UIController {
    * @param {object} options - Additional options
    * @param {string} options.title - Optional title
    * @param {number} options.duration - Display duration in ms
+   * @param {{label: string, onClick: Function}} options.action - Optional action button
    */
   showToast(message, type = 'info', options = {}) {
-    const { title = null, duration = 3500 } = options;
+    const { title = null, duration = 3500, action = null } = options;
     
     // Get toast container or fallback to overlay
     const container = this.toastContainer || this.uiOverlay;
@@ -310,6 +330,20 @@ export class UIController {
     
     toast.innerHTML = toastHTML;
     
+    // Optional action button (e.g. "Retry"); dismisses the toast when tapped
+    if (action) {
+      const actionBtn = document.createElement('button');
+      actionBtn.className = 'toast-action';
+      actionBtn.textContent = action.label;
+      actionBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toast.classList.remove('visible');
+        setTimeout(() => toast.remove(), 400);
+        action.onClick();
+      });
+      toast.appendChild(actionBtn);
+    }
+    
     // Add to container
     container.appendChild(toast);
     
@@ -333,6 +367,44 @@ export class UIController {
     return toast;
   }
 
+  /**
+   * Apply per-catalog branding (logo and page title)
+   * Empty values keep the built-in branding.
+   * @param {object} branding - config.ui.branding
+   * @param {string} branding.logoUrl - Logo image URL
+   * @param {string} branding.title - Document title
+   */
+  applyBranding(branding) {
+    if (!branding) return;
+    
+    if (branding.logoUrl) {
+      ['logo', 'ar-logo'].forEach(id => {
+        const logo = document.getElementById(id);
+        if (logo) logo.src = branding.logoUrl;
+      });
+    }
+    
+    if (branding.title) {
+      document.title = branding.title;
+    }
+  }
+
+  /**
+   * Show or hide the catalog status badge
+   * @param {string|null} text - Badge text, or null to hide the badge
+   */
+  setCatalogStatus(text) {
+    if (!this.catalogStatus) return;
+    
+    if (text) {
+      this.catalogStatus.textContent = text;
+      this.catalogStatus.classList.remove('hidden');
+    } else {
+      this.catalogStatus.textContent = '';
+      this.catalogStatus.classList.add('hidden');
+    }
+  }
+
   /**
    * Update model status
    */
@@ -353,6 +425,35 @@ export class UIController {
     }
   }
 
+  /**
+   * Render config provenance (which layer each key came from) in the debug info panel.
+   * Keys resolved from the fallback defaults are omitted to keep the list short.
+   * @param {Object<string, string>} provenance - Dotted key path -> layer name
+   */
+  renderConfigProvenance(provenance) {
+    const container = document.getElementById('config-provenance');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    const entries = Object.entries(provenance || {})
+      .filter(([, layer]) => layer !== 'defaults')
+      .sort(([a], [b]) => a.localeCompare(b));
+    
+    const heading = document.createElement('div');
+    heading.textContent = `Config overrides: ${entries.length}`;
+    container.appendChild(heading);
+    
+    entries.forEach(([path, layer]) => {
+      const row = document.createElement('div');
+      const layerEl = document.createElement('span');
+      layerEl.className = 'provenance-layer';
+      layerEl.textContent = `[${layer}]`;
+      row.appendChild(layerEl);
+      row.appendChild(document.createTextNode(` ${path}`));
+      container.appendChild(row);
+    });
+  }
+
   /**
    * Show gallery
    */
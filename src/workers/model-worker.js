@@ -0,0 +1,176 @@
+/**
+ * Model Worker
+ * Runs model downloads (fetch, retries, integrity checks, bundle unpacking,
+ * .gltf packing, inspection), texture image decoding and the splitting of GLB
+ * binary data into buffer views off the main thread, so a large model does not
+ * stall the AR camera feed while it loads.
+ * Scene graph construction (meshes, materials) stays with GLTFLoader on the
+ * main thread: Three.js objects cannot cross postMessage.
+ * Protocol: see ModelWorkerClient.
+ */
+
+import { Logger } from '../modules/logger.js';
+import { ModelDownloader } from '../modules/model-downloader.js';
+import { serializeModelError } from '../modules/model-errors.js';
+
+// GLB container constants
+const GLB_MAGIC = 0x46546c67; // 'glTF'
+const GLB_CHUNK_JSON = 0x4e4f534a; // 'JSON'
+const GLB_CHUNK_BIN = 0x004e4942; // 'BIN\0'
+const GLB_HEADER_LENGTH = 12;
+const GLB_CHUNK_HEADER_LENGTH = 8;
+const GLB_VERSION = 2;
+
+// Image types createImageBitmap decodes everywhere (KTX2 goes through the Basis transcoder)
+const DECODABLE_IMAGE_TYPES = new Set(['image/png', 'image/jpeg', 'image/webp']);
+
+/**
+ * Logger that forwards entries to the page's log panel.
+ * The real Logger needs the DOM, so only its methods are borrowed.
+ */
+const logger = Object.create(Logger.prototype);
+logger.addLog = (level, eventName, message, data = null) => {
+  // Log data must survive structured cloning
+  self.postMessage({ type: 'log', level, eventName, message, data: data && JSON.parse(JSON.stringify(data)) });
+};
+
+const downloader = new ModelDownloader(logger);
+
+// Running downloads: request id -> AbortController
+const controllers = new Map();
+
+/**
+ * Build a GLB holding only the JSON chunk of another GLB.
+ */
+function jsonOnlyGlb(source, jsonOffset, jsonLength) {
+  const length = GLB_HEADER_LENGTH + GLB_CHUNK_HEADER_LENGTH + jsonLength;
+  const glb = new ArrayBuffer(length);
+  const view = new DataView(glb);
+  view.setUint32(0, GLB_MAGIC, true);
+  view.setUint32(4, GLB_VERSION, true);
+  view.setUint32(8, length, true);
+  view.setUint32(12, jsonLength, true);
+  view.setUint32(16, GLB_CHUNK_JSON, true);
+  new Uint8Array(glb, GLB_HEADER_LENGTH + GLB_CHUNK_HEADER_LENGTH).set(new Uint8Array(source, jsonOffset, jsonLength));
+  return glb;
+}
+
+/**
+ * Read a GLB, decode the images embedded in its binary chunk and cut the
+ * chunk into one ArrayBuffer per buffer view (geometry, animation data,
+ * images left undecoded). GLTFLoader then builds its typed arrays on these
+ * instead of copying every view out of the GLB on the main thread, and only
+ * the JSON chunk is sent back.
+ * Meshopt-compressed models keep their binary chunk: the decoder reads it directly.
+ * Decoding options match GLTFLoader's ImageBitmapLoader setup.
+ * @param {Blob} blob - Model file
+ * @param {boolean} decodeImages - False where the page cannot use worker-decoded bitmaps
+ * @returns {Promise<{ buffer: ArrayBuffer, images: Array<[number, ImageBitmap]>, bufferViews: Array<[number, ArrayBuffer]> }|null>}
+ *          null if not a GLB
+ */
+async function decodeGlb(blob, decodeImages = true) {
+  const buffer = await blob.arrayBuffer();
+  const view = new DataView(buffer);
+  if (buffer.byteLength < GLB_HEADER_LENGTH + GLB_CHUNK_HEADER_LENGTH || view.getUint32(0, true) !== GLB_MAGIC) {
+    return null;
+  }
+
+  // Walk the chunks: JSON first, then the optional binary chunk
+  let gltf = null;
+  let jsonOffset = null;
+  let jsonLength = 0;
+  let binOffset = null;
+  for (let offset = GLB_HEADER_LENGTH; offset + GLB_CHUNK_HEADER_LENGTH <= buffer.byteLength;) {
+    const length = view.getUint32(offset, true);
+    const type = view.getUint32(offset + 4, true);
+    const start = offset + GLB_CHUNK_HEADER_LENGTH;
+    if (type === GLB_CHUNK_JSON) {
+      gltf = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, start, length)));
+      jsonOffset = start;
+      jsonLength = length;
+    } else if (type === GLB_CHUNK_BIN) {
+      binOffset = start;
+    }
+    offset = start + length;
+  }
+  if (!gltf) return null;
+
+  const images = [];
+  await Promise.all((gltf.images || []).map(async (image, index) => {
+    const bufferView = gltf.bufferViews?.[image.bufferView];
+    if (!decodeImages || binOffset === null || !bufferView || (bufferView.buffer ?? 0) !== 0) return;
+    if (!DECODABLE_IMAGE_TYPES.has(image.mimeType)) return;
+
+    const start = binOffset + (bufferView.byteOffset || 0);
+    const data = new Blob([new Uint8Array(buffer, start, bufferView.byteLength)], { type: image.mimeType });
+    try {
+      images.push([index, await createImageBitmap(data, { premultiplyAlpha: 'none', colorSpaceConversion: 'none' })]);
+    } catch (error) {
+      // Left to the main thread loader, which reports undecodable images itself
+      logger.warning('MODEL_WORKER', 'Could not decode texture image', { index, mimeType: image.mimeType, error: error.message });
+    }
+  }));
+
+  const usesMeshopt = (gltf.extensionsUsed || []).includes('EXT_meshopt_compression');
+  if (binOffset === null || usesMeshopt) return { buffer, images, bufferViews: [] };
+
+  // Views of decoded images are not needed any more
+  const decodedViews = new Set(images.map(([index]) => gltf.images[index].bufferView));
+  const bufferViews = [];
+  (gltf.bufferViews || []).forEach((bufferView, index) => {
+    if ((bufferView.buffer ?? 0) !== 0 || decodedViews.has(index)) return;
+    const start = binOffset + (bufferView.byteOffset || 0);
+    bufferViews.push([index, buffer.slice(start, start + bufferView.byteLength)]);
+  });
+
+  return { buffer: jsonOnlyGlb(buffer, jsonOffset, jsonLength), images, bufferViews };
+}
+
+async function handleRequest(message) {
+  switch (message.type) {
+    case 'download': {
+      const controller = new AbortController();
+      controllers.set(message.id, controller);
+      try {
+        return await downloader.download(message.url, {
+          signal: controller.signal,
+          expectedDigests: message.expectedDigests,
+          onProgress: (...args) => self.postMessage({ type: 'progress', id: message.id, args }),
+          onIntegrityRetry: (error) => self.postMessage({ type: 'integrity-retry', id: message.id, error: serializeModelError(error) })
+        });
+      } finally {
+        controllers.delete(message.id);
+      }
+    }
+    case 'verify': {
+      const error = await downloader.verifyIntegrity(message.url, message.blob, message.expectedDigests);
+      return error ? serializeModelError(error) : null;
+    }
+    case 'decode':
+      return decodeGlb(message.blob, message.decodeImages);
+    default:
+      throw new Error(`Unknown model worker request: ${message.type}`);
+  }
+}
+
+self.addEventListener('message', async ({ data: message }) => {
+  if (message.type === 'abort') {
+    controllers.get(message.id)?.abort();
+    return;
+  }
+
+  try {
+    const result = await handleRequest(message);
+    // Decoded buffers and bitmaps are moved to the page, not copied
+    const transfer = message.type === 'decode' && result
+      ? [
+          result.buffer,
+          ...result.images.map(([, bitmap]) => bitmap),
+          ...result.bufferViews.map(([, data]) => data)
+        ]
+      : [];
+    self.postMessage({ type: 'done', id: message.id, result }, transfer);
+  } catch (error) {
+    self.postMessage({ type: 'error', id: message.id, error: serializeModelError(error) });
+  }
+});
@@ -1,10 +1,13 @@
 import { defineConfig } from 'vite';
 import basicSsl from '@vitejs/plugin-basic-ssl';
+import gltfDecoders from './scripts/vite-plugin-gltf-decoders.js';
 
 export default defineConfig({
   plugins: [
     // HTTPS is required for WebXR
-    basicSsl()
+    basicSsl(),
+    // Draco / KTX2 / Meshopt decoders served from decoders/ instead of a CDN
+    gltfDecoders()
   ],
   server: {
     https: true,